@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Benchmark rendering a whole bank across the default multisample note range
+ *
+ *     node bench.js [bank.syx] [--baseline <checkout or git revision>]
+ *
+ * With --baseline, the same notes are also rendered by the engine of another
+ * checkout of this repository and the speedup is reported. A git revision is
+ * checked out into a temporary worktree for the run, e.g.
+ *
+ *     npm run bench -- --baseline HEAD~1
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { PatchBank, generateSamples, maxSampleCount } from './src/dx7.js';
+
+// Defaults of the multisample controls in tv7.html
+const MIN_NOTE = 60;
+const MAX_NOTE = 108;
+const NOTE_INCREMENT = 3;
+const DURATION_MS = 2000;
+const SAMPLE_RATE = 44100;
+const TARGET_LEVEL = 0.5;
+
+const args = process.argv.slice(2);
+const baselineIdx = args.indexOf('--baseline');
+const baselineArg = baselineIdx >= 0 ? args.splice(baselineIdx, 2)[1] : null;
+const bankPath = args[0] || './examples/ROM1A.syx';
+
+const midiNotes = [];
+for (let note = MIN_NOTE; note < MAX_NOTE; note += NOTE_INCREMENT) {
+    midiNotes.push(note);
+}
+midiNotes.push(MAX_NOTE);
+
+/**
+ * Renders every patch at every note, returning the time taken and the
+ * number of samples rendered
+ */
+function run(patches, render) {
+    const start = performance.now();
+    let samples = 0;
+    for (const patch of patches) {
+        for (const note of midiNotes) {
+            samples += render(patch, note).length;
+        }
+    }
+    return { seconds: (performance.now() - start) / 1000, samples };
+}
+
+function report(label, { seconds, samples }) {
+    const audioSeconds = samples / SAMPLE_RATE;
+    console.log(`   ${label}: ${seconds.toFixed(2)}s for ${audioSeconds.toFixed(1)}s of audio (${(audioSeconds / seconds).toFixed(1)}x real time)`);
+}
+
+const bank = new PatchBank(readFileSync(bankPath));
+console.log(`Rendering ${bank.patches.length} patches x ${midiNotes.length} notes (${MIN_NOTE}-${MAX_NOTE}, ${DURATION_MS}ms, ${SAMPLE_RATE}Hz) from ${bankPath}\n`);
+
+let baseline = null;
+if (baselineArg !== null) {
+    // Anything that is not a checkout is a revision to check out
+    const checkout = existsSync(baselineArg) ? null : mkdtempSync(join(tmpdir(), 'tv7-baseline-'));
+    if (checkout !== null) {
+        execFileSync('git', ['worktree', 'add', '--detach', checkout, baselineArg], { stdio: 'ignore' });
+    }
+
+    try {
+        const url = pathToFileURL(resolve(checkout || baselineArg, 'src/dx7.js')).href;
+        const engine = await import(url);
+        const patches = new engine.PatchBank(readFileSync(bankPath)).patches;
+        baseline = run(patches, (patch, note) =>
+            engine.generateSamples(patch, note, SAMPLE_RATE, DURATION_MS, TARGET_LEVEL)
+        );
+    } finally {
+        if (checkout !== null) {
+            execFileSync('git', ['worktree', 'remove', '--force', checkout]);
+        }
+    }
+    report(`Baseline (${baselineArg})`, baseline);
+}
+
+// Every note renders into the same buffer
+const output = new Float32Array(maxSampleCount(SAMPLE_RATE, DURATION_MS));
+const current = run(bank.patches, (patch, note) =>
+    generateSamples(patch, note, SAMPLE_RATE, DURATION_MS, TARGET_LEVEL, { output })
+);
+report('Current', current);
+
+if (baseline !== null) {
+    console.log(`\n   Speedup: ${(baseline.seconds / current.seconds).toFixed(2)}x`);
+    if (baseline.samples !== current.samples) {
+        console.log(`   ⚠️  Sample counts differ: ${baseline.samples} (baseline) vs ${current.samples}`);
+    }
+}
@@ -26,61 +26,178 @@
  * of the Mutable Instruments Plaits DX7/FM synthesis engine.
  */
 
-import { PatchBank, Patch } from './fm/patch.js';
+import { PatchBank, Patch, SupplementalParameters, VOICE_SYSEX_SIZE } from './fm/patch.js';
+import { compareBanks, diffPatches, patchDistance } from './fm/compare.js';
+import { morphBank, morphPatches, morphSteps } from './fm/morph.js';
+import { mutatePatch, randomPatch, variationBank } from './fm/randomize.js';
+import { loadSysex } from './fm/sysex.js';
+import { extractSysexFromMidiFile } from './fm/smf.js';
+import { fourOpPatchFromBytes, fourOpPatchFromVoiceBytes } from './fm/patch4.js';
+import { ControllerRouting, FunctionSettings, PortamentoMode } from './fm/function_settings.js';
+import { Synth, VoiceStealing } from './fm/synth.js';
+import { Tuning, parseKbm, parseScl } from './fm/tuning.js';
+import { crossfadeLoop, findLoop } from './fm/loop.js';
+import { integratedLoudness, truePeak } from './fm/loudness.js';
 import { Voice } from './fm/voice.js';
 import { Lfo } from './fm/lfo.js';
+import { DEFAULT_SEED, Random } from './stmlib/random.js';
 
-export { PatchBank, Patch };
+export {
+    PatchBank,
+    Patch,
+    SupplementalParameters,
+    VOICE_SYSEX_SIZE,
+    loadSysex,
+    extractSysexFromMidiFile,
+    fourOpPatchFromBytes,
+    fourOpPatchFromVoiceBytes,
+    diffPatches,
+    patchDistance,
+    compareBanks,
+    randomPatch,
+    mutatePatch,
+    variationBank,
+    morphPatches,
+    morphSteps,
+    morphBank,
+    Synth,
+    VoiceStealing,
+    FunctionSettings,
+    ControllerRouting,
+    PortamentoMode,
+    Tuning,
+    parseScl,
+    parseKbm,
+    findLoop,
+    crossfadeLoop,
+    integratedLoudness,
+    truePeak,
+};
 
 /**
- * Number of operators for DX7
+ * Generate audio samples for a patch
+ * @param {Patch} patch - The DX7 patch
+ * @param {number} midiNote - MIDI note number (60 = C4)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Duration in milliseconds
+ * @param {number} [targetLevel=null] - Target normalization level (e.g., 0.707946 for -3dBFS), or null for no normalization
+ * @param {Object} [options]
+ * @param {Tuning} [options.tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
+ * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch, the same seed always gives the same audio
+ * @param {number} [options.velocity=1.0] - Note velocity (0.0-1.0)
+ * @param {number} [options.take=0] - Round-robin take. Takes other than 0 start the free-running oscillators and LFO
+ *     at random phases and use their own seed, as if other notes had been played before.
+ * @param {Float32Array} [options.output] - Buffer to render into, reused across calls to avoid allocations when
+ *     rendering many notes. It must hold maxSampleCount() samples, and the returned samples are a view of it.
+ * @returns {Float32Array} - Array of audio samples
  */
-const NUM_OPERATORS = 6;
+export function generateSamples(patch, midiNote, sampleRate, durationMs, targetLevel = null, {
+    tuning = null,
+    seed = DEFAULT_SEED,
+    velocity = 1.0,
+    take = 0,
+    output = null,
+} = {}) {
+    const { samples } = renderNote(patch, midiNote, sampleRate, durationMs, { tuning, seed, velocity, take, output });
+    return normalize(samples, targetLevel);
+}
 
 /**
- * Number of algorithms for DX7
+ * Generate audio samples for a patch like generateSamples, along with the
+ * engine telemetry for every render block
+ * @param {Patch} patch - The DX7 patch
+ * @param {number} midiNote - MIDI note number (60 = C4)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Duration in milliseconds
+ * @param {number} [targetLevel=null] - Target normalization level, or null for no normalization
+ * @param {Object} [options] - Same as generateSamples
+ * @returns {{samples: Float32Array, probe: Probe}}
  */
-const NUM_ALGORITHMS = 32;
+export function probeSamples(patch, midiNote, sampleRate, durationMs, targetLevel = null, {
+    tuning = null,
+    seed = DEFAULT_SEED,
+    velocity = 1.0,
+    take = 0,
+    output = null,
+} = {}) {
+    const recorder = new ProbeRecorder(patch.op.length);
+    const { samples: rendered } = renderNote(patch, midiNote, sampleRate, durationMs, {
+        tuning,
+        seed,
+        velocity,
+        take,
+        output,
+        recorder,
+    });
+    const samples = normalize(rendered, targetLevel);
+    return { samples, probe: recorder.finish(samples.length) };
+}
 
 /**
- * Generate audio samples for a patch
+ * Renders a note block by block, with the gate on for the requested duration
+ * and then off until the output has been silent for 100ms
  * @param {Patch} patch - The DX7 patch
  * @param {number} midiNote - MIDI note number (60 = C4)
  * @param {number} sampleRate - Sample rate in Hz
  * @param {number} durationMs - Duration in milliseconds
- * @param {number} [targetLevel=null] - Target normalization level (e.g., 0.707946 for -3dBFS), or null for no normalization
- * @returns {Float32Array} - Array of audio samples
+ * @param {Object} options - See generateSamples, plus:
+ * @param {ProbeRecorder} [options.recorder] - Records the engine telemetry after every block
+ * @param {Array<boolean>} [options.stems] - Operators (in patch.op order) whose own output is also captured
+ * @returns {{samples: Float32Array, stems: Array<Float32Array|null>|null}} - Output before normalization, and the
+ *     output of each captured operator with the same length
  */
-export function generateSamples(patch, midiNote, sampleRate, durationMs, targetLevel = null) {
+function renderNote(patch, midiNote, sampleRate, durationMs, {
+    tuning = null,
+    seed = DEFAULT_SEED,
+    velocity = 1.0,
+    take = 0,
+    output = null,
+    recorder = null,
+    stems = null,
+}) {
     const MAX_BLOCK_SIZE = 24; // Match C++ implementation
     const nSamples = Math.floor((durationMs / 1000) * sampleRate);
     const silenceThreshold = 0.0001;
     const silenceDurationSamples = Math.floor((sampleRate * 100) / 1000); // 100ms
 
-    const voice = new Voice(patch, sampleRate);
+    if (tuning !== null && !tuning.isMapped(midiNote)) {
+        throw new Error(`MIDI note ${midiNote} is not mapped by the tuning`);
+    }
+
+    const voice = new Voice(patch, sampleRate, tuning);
     const lfo = new Lfo();
     lfo.init(sampleRate);
-    lfo.set(patch.modulations);
-    lfo.reset();
 
-    const output = [];
+    // The LFO and the voice draw from one generator owned by this render
+    const random = new Random(takeSeed(seed, take));
+    lfo.random = random;
+    voice.random = random;
+    lfo.set(patch.modulations);
 
-    // Phase 1: Render with gate on for the requested duration
-    const parameters = {
-        gate: true,
-        sustain: false,
-        velocity: 1.0,
-        note: midiNote,
-        brightness: 0.5,
-        envelopeControl: 0.5,
-        pitchMod: 0.0,
-        ampMod: 0.0,
-    };
+    // Key-synced phases are zeroed again by lfo.reset() and the voice's key-on
+    if (take !== 0) {
+        for (const operator of voice.operator) {
+            operator.phase = random.getWord();
+        }
+        lfo.phase = random.getFloat();
+    }
+    lfo.reset();
 
-    let remaining = nSamples;
-    while (remaining > 0) {
-        const blockSize = Math.min(remaining, MAX_BLOCK_SIZE);
+    const capacity = maxSampleCount(sampleRate, durationMs);
+    if (output !== null && output.length < capacity) {
+        throw new Error(`Output buffer too small: ${output.length} samples, need ${capacity}`);
+    }
+    // Own buffers start with a second of release and grow as it goes on
+    const initialSize = Math.min(capacity, nSamples + sampleRate);
+    let out = output !== null ? output : new Float32Array(initialSize);
+    const temp = new Float32Array(MAX_BLOCK_SIZE * 3); // render_temp needs 3x size
+    // Operators write their own output into taps block by block
+    const taps = stems === null ? null : stems.map(stem => stem ? new Float32Array(MAX_BLOCK_SIZE) : null);
+    const stemOutputs = stems === null ? null : stems.map(stem => stem ? new Float32Array(initialSize) : null);
+    let length = 0;
 
+    // Renders one block at the end of the output
+    const render = (blockSize) => {
         // Step the LFO
         lfo.step(blockSize);
 
@@ -88,15 +205,62 @@ export function generateSamples(patch, midiNote, sampleRate, durationMs, targetL
         parameters.pitchMod = lfo.pitchMod();
         parameters.ampMod = lfo.ampMod();
 
-        const buf = new Float32Array(blockSize * 3); // render_temp needs 3x size
-        voice.renderTemp(parameters, buf);
+        // Carriers add into the buffer, and only the last block is shorter
+        const buf = blockSize === MAX_BLOCK_SIZE ? temp : temp.subarray(0, blockSize * 3);
+        buf.fill(0.0);
+        if (taps === null) {
+            voice.renderTemp(parameters, buf);
+        } else {
+            for (const tap of taps) {
+                if (tap !== null) {
+                    tap.fill(0.0);
+                }
+            }
+            voice.renderStems(parameters, buf, taps);
+        }
+        if (recorder) {
+            recorder.record(length, voice, lfo, buf, blockSize);
+        }
+
+        if (length + blockSize > out.length) {
+            out = grow(out, length + blockSize, capacity);
+            for (let idx = 0; stemOutputs !== null && idx < stemOutputs.length; idx++) {
+                if (stemOutputs[idx] !== null) {
+                    stemOutputs[idx] = grow(stemOutputs[idx], length + blockSize, capacity);
+                }
+            }
+        }
 
         // Extract the output (first blockSize samples)
         for (let i = 0; i < blockSize; i++) {
-            output.push(buf[i]);
+            out[length + i] = buf[i];
         }
+        if (taps !== null) {
+            for (let idx = 0; idx < taps.length; idx++) {
+                const tap = taps[idx];
+                const stem = stemOutputs[idx];
+                for (let i = 0; tap !== null && i < blockSize; i++) {
+                    stem[length + i] = tap[i];
+                }
+            }
+        }
+        length += blockSize;
+    };
 
-        remaining -= blockSize;
+    // Phase 1: Render with gate on for the requested duration
+    const parameters = {
+        gate: true,
+        sustain: false,
+        velocity,
+        note: midiNote,
+        brightness: 0.5,
+        envelopeControl: 0.5,
+        pitchMod: 0.0,
+        ampMod: 0.0,
+    };
+
+    while (length < nSamples) {
+        render(Math.min(nSamples - length, MAX_BLOCK_SIZE));
     }
 
     // Phase 2: Turn gate off and render until 100ms of silence
@@ -104,47 +268,205 @@ export function generateSamples(patch, midiNote, sampleRate, durationMs, targetL
     let consecutiveSilentSamples = 0;
 
     while (true) {
-        // Step the LFO
-        lfo.step(MAX_BLOCK_SIZE);
-
-        // Apply LFO modulations to parameters
-        parameters.pitchMod = lfo.pitchMod();
-        parameters.ampMod = lfo.ampMod();
-
-        const chunk = new Float32Array(MAX_BLOCK_SIZE * 3);
-        voice.renderTemp(parameters, chunk);
+        render(MAX_BLOCK_SIZE);
 
         // Check for silence in the rendered output
-        for (let i = 0; i < MAX_BLOCK_SIZE; i++) {
-            const sample = chunk[i];
-            if (Math.abs(sample) < silenceThreshold) {
+        for (let i = length - MAX_BLOCK_SIZE; i < length; i++) {
+            if (Math.abs(out[i]) < silenceThreshold) {
                 consecutiveSilentSamples++;
             } else {
                 consecutiveSilentSamples = 0;
             }
-            output.push(sample);
         }
 
         // Check if we've accumulated enough silence
         if (consecutiveSilentSamples >= silenceDurationSamples) {
             // Truncate to end after the silence duration
-            const truncateTo = Math.max(
-                0,
-                output.length - (consecutiveSilentSamples - silenceDurationSamples)
-            );
-            output.length = truncateTo;
+            length = Math.max(0, length - (consecutiveSilentSamples - silenceDurationSamples));
             break;
         }
 
         // Safety limit: don't render more than 10 seconds total
-        if (output.length > sampleRate * 10) {
+        if (length > sampleRate * 10) {
             break;
         }
     }
 
-    const result = new Float32Array(output);
+    // Own buffers are trimmed to size, caller buffers are only viewed
+    return {
+        samples: output !== null ? out.subarray(0, length) : out.slice(0, length),
+        stems: stemOutputs === null ? null : stemOutputs.map(stem => stem && stem.slice(0, length)),
+    };
+}
+
+/**
+ * Largest number of samples generateSamples can return, the size of its
+ * output buffer
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {number}
+ */
+export function maxSampleCount(sampleRate, durationMs) {
+    const MAX_BLOCK_SIZE = 24;
+    const nSamples = Math.floor((durationMs / 1000) * sampleRate);
+
+    // The release stops after the block crossing 10 seconds
+    return Math.max(nSamples, Math.floor(sampleRate * 10)) + MAX_BLOCK_SIZE;
+}
+
+/**
+ * Seed of a round-robin take, take 0 keeps the seed unchanged
+ */
+function takeSeed(seed, take) {
+    return take === 0 ? seed : (Math.imul(seed + take, 0x9e3779b1) ^ take) >>> 0;
+}
+
+/**
+ * Engine telemetry captured by probeSamples, with one entry
+ * per render block (usually 24 samples)
+ * @typedef {Object} Probe
+ * @property {Uint32Array} time - First sample of each block
+ * @property {Array<{stage: Uint8Array, level: Float32Array, amplitude: Float32Array}>} operators - Per operator, op1 first:
+ *     envelope stage (0-3, 3 = release), level after envelope and scaling (in the engine's log2 units)
+ *     and final linear amplitude after amplitude modulation
+ * @property {Float32Array} pitchEnvelope - Pitch envelope value in octaves
+ * @property {Float32Array} lfo - LFO value (0.0-1.0)
+ * @property {Float32Array} lfoDelay - LFO delay ramp (0.0-1.0)
+ * @property {Float32Array} peak - Peak of the output in each block, before normalization
+ */
+
+/**
+ * Accumulates Probe entries block by block
+ */
+class ProbeRecorder {
+    constructor(numOperators) {
+        this.numOperators = numOperators;
+        this.time = [];
+        this.stage = Array.from({ length: numOperators }, () => []);
+        this.level = Array.from({ length: numOperators }, () => []);
+        this.amplitude = Array.from({ length: numOperators }, () => []);
+        this.pitchEnvelope = [];
+        this.lfo = [];
+        this.lfoDelay = [];
+        this.peak = [];
+    }
+
+    record(time, voice, lfo, block, blockSize) {
+        this.time.push(time);
+        for (let i = 0; i < this.numOperators; i++) {
+            this.stage[i].push(voice.opStage(i));
+            this.level[i].push(voice.opLevel(i));
+            this.amplitude[i].push(voice.opAmplitude(i));
+        }
+        this.pitchEnvelope.push(voice.pitchEnvelopeValue);
+        this.lfo.push(lfo.value());
+        this.lfoDelay.push(lfo.delayRamp());
+
+        let peak = 0.0;
+        for (let i = 0; i < blockSize; i++) {
+            peak = Math.max(peak, Math.abs(block[i]));
+        }
+        this.peak.push(peak);
+    }
+
+    /**
+     * Builds the Probe, dropping blocks past the end of the truncated output
+     * @returns {Probe}
+     */
+    finish(length) {
+        let blocks = this.time.length;
+        while (blocks > 0 && this.time[blocks - 1] >= length) {
+            blocks--;
+        }
+        const take = (values, Type) => Type.from(values.slice(0, blocks));
+
+        const operators = [];
+        for (let number = 1; number <= this.numOperators; number++) {
+            const idx = this.numOperators - number;
+            operators.push({
+                stage: take(this.stage[idx], Uint8Array),
+                level: take(this.level[idx], Float32Array),
+                amplitude: take(this.amplitude[idx], Float32Array),
+            });
+        }
+
+        return {
+            time: take(this.time, Uint32Array),
+            operators,
+            pitchEnvelope: take(this.pitchEnvelope, Float32Array),
+            lfo: take(this.lfo, Float32Array),
+            lfoDelay: take(this.lfoDelay, Float32Array),
+            peak: take(this.peak, Float32Array),
+        };
+    }
+}
+
+/**
+ * Generate the isolated output of each operator for a note, e.g. to hear
+ * exactly what a modulator feeds into its carriers or to export stems
+ *
+ * Stems are rendered in a single pass of the full patch, so every operator
+ * is modulated as usual, and operators switched off in activeOperators give
+ * silent stems. They all have the same length as the note rendered by
+ * generateSamples, ending once its output has been silent for 100ms, as
+ * modulators alone rarely fall completely silent.
+ * @param {Patch} patch - The DX7 patch
+ * @param {number} midiNote - MIDI note number (60 = C4)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Duration in milliseconds
+ * @param {Object} [options]
+ * @param {Array<number>} [options.operators] - Operator numbers to render (1-offset like Patch.setOp), all if omitted
+ * @param {number} [options.targetLevel=null] - Target level for the loudest stem, keeping the balance between stems, or null for no normalization
+ * @param {Tuning} [options.tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
+ * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch, see generateSamples
+ * @returns {Map<number, Float32Array>} - Stems by operator number
+ */
+export function generateOperatorStems(patch, midiNote, sampleRate, durationMs, {
+    operators = null,
+    targetLevel = null,
+    tuning = null,
+    seed = DEFAULT_SEED,
+} = {}) {
+    const n = patch.op.length;
+    const numbers = operators === null ? Array.from({ length: n }, (_, i) => i + 1) : operators;
+    for (const number of numbers) {
+        if (!Number.isInteger(number) || number < 1 || number > n) {
+            throw new Error(`Invalid operator number ${number}. Must be 1-${n}.`);
+        }
+    }
 
-    // Normalize if target level is specified
+    const tapped = patch.op.map(() => false);
+    for (const number of numbers) {
+        tapped[n - number] = true;
+    }
+    const { stems } = renderNote(patch, midiNote, sampleRate, durationMs, { tuning, seed, stems: tapped });
+    const result = new Map(numbers.map(number => [number, stems[n - number]]));
+
+    // One factor for every stem keeps their balance
+    if (targetLevel !== null && targetLevel > 0) {
+        let peak = 0.0;
+        for (const stem of result.values()) {
+            for (let i = 0; i < stem.length; i++) {
+                peak = Math.max(peak, Math.abs(stem[i]));
+            }
+        }
+        if (peak > 0) {
+            const normalizeFactor = targetLevel / peak;
+            for (const stem of result.values()) {
+                for (let i = 0; i < stem.length; i++) {
+                    stem[i] *= normalizeFactor;
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Scales samples in place so that their peak reaches the target level
+ */
+function normalize(result, targetLevel) {
     if (targetLevel !== null && targetLevel > 0) {
         let peak = 0.0;
         for (let i = 0; i < result.length; i++) {
@@ -162,3 +484,56 @@ export function generateSamples(patch, midiNote, sampleRate, durationMs, targetL
 
     return result;
 }
+
+/**
+ * Generate audio samples for notes played polyphonically, e.g. a chord stab
+ * @param {Patch} patch - The DX7 patch
+ * @param {Array<{note: number, time: number, duration: number, velocity?: number}>} notes - Notes with start time and key-on duration in milliseconds, velocity (0.0-1.0) defaults to 1.0
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - Synth options (polyphony, stealing, functionSettings, tuning, seed)
+ * @param {number} [options.targetLevel=null] - Target normalization level, or null for no normalization
+ * @returns {Float32Array} - Array of audio samples, ending once every voice is silent
+ */
+export function generateSequence(patch, notes, sampleRate, { targetLevel = null, ...options } = {}) {
+    const BLOCK_SIZE = 24;
+    const synth = new Synth(patch, sampleRate, options);
+    const toSamples = (ms) => Math.floor((ms / 1000) * sampleRate);
+
+    let end = 0;
+    for (const { note, time, duration, velocity = 1.0 } of notes) {
+        synth.noteOn(note, velocity, toSamples(time));
+        synth.noteOff(note, toSamples(time + duration));
+        end = Math.max(end, toSamples(time + duration));
+    }
+
+    // Render every note, then until the releases fall silent
+    const capacity = end + Math.floor(sampleRate * 10) + 2 * BLOCK_SIZE;
+    let output = new Float32Array(Math.min(capacity, end + sampleRate));
+    let length = 0;
+    const block = new Float32Array(BLOCK_SIZE);
+    while (synth.time < end || synth.activeVoices() > 0) {
+        synth.process(block);
+        if (length + BLOCK_SIZE > output.length) {
+            output = grow(output, length + BLOCK_SIZE, capacity);
+        }
+        output.set(block, length);
+        length += BLOCK_SIZE;
+
+        // Safety limit: don't render more than 10 seconds after the last note-off
+        if (synth.time > end + sampleRate * 10) {
+            break;
+        }
+    }
+
+    return normalize(output.slice(0, length), targetLevel);
+}
+
+/**
+ * Copy of a buffer with room for at least size samples, doubling its length
+ * up to the limit
+ */
+function grow(buffer, size, limit) {
+    const grown = new Float32Array(Math.min(limit, Math.max(size, buffer.length * 2)));
+    grown.set(buffer);
+    return grown;
+}
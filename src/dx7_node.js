@@ -0,0 +1,165 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Main thread side of the real-time DX7 player
+ *
+ *     const node = await Dx7Node.create(audioContext);
+ *     node.connect(audioContext.destination);
+ *     node.setPatch(patch);
+ *     node.noteOn(60, 0.8);
+ *     node.noteOff(60);
+ *
+ * Messages the processor rejects (e.g. an invalid patch) are dispatched as
+ * 'error' events whose `detail.message` describes the problem.
+ */
+
+/** Processor module loading promises, by audio context */
+const loadedContexts = new WeakMap();
+
+/**
+ * AudioWorkletNode driving dx7_processor.js
+ */
+export class Dx7Node extends AudioWorkletNode {
+    /**
+     * Loads the processor module into the context (once) and creates a node
+     * @param {BaseAudioContext} context - Audio context
+     * @param {Object} [options]
+     * @param {number} [options.polyphony=16] - Number of voices
+     * @param {number} [options.stealing] - Voice stealing strategy, see VoiceStealing
+     * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch
+     * @param {number} [options.gain] - Output gain, by default leaving headroom for half the voices playing at once
+     * @returns {Promise<Dx7Node>}
+     */
+    static async create(context, options = {}) {
+        if (!loadedContexts.has(context)) {
+            loadedContexts.set(context, context.audioWorklet.addModule(new URL('./dx7_processor.js', import.meta.url)));
+        }
+        await loadedContexts.get(context);
+        return new Dx7Node(context, options);
+    }
+
+    /**
+     * Prefer Dx7Node.create, which loads the processor module first
+     */
+    constructor(context, options = {}) {
+        super(context, 'dx7-processor', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: options,
+        });
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'error') {
+                this.dispatchEvent(new CustomEvent('error', { detail: { message: event.data.message } }));
+            }
+        };
+    }
+
+    /**
+     * Switches to a new patch, cutting any sounding notes
+     * @param {Patch} patch - DX7 or 4-op patch
+     */
+    setPatch(patch) {
+        this.port.postMessage({ type: 'patch', patch: patch.toJSON() });
+    }
+
+    /**
+     * Starts a note
+     * @param {number} note - MIDI note number
+     * @param {number} [velocity=1.0] - Velocity (0.0-1.0)
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    noteOn(note, velocity = 1.0, time = null) {
+        this.port.postMessage({ type: 'noteOn', note, velocity, time });
+    }
+
+    /**
+     * Releases a note
+     * @param {number} note - MIDI note number
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    noteOff(note, time = null) {
+        this.port.postMessage({ type: 'noteOff', note, time });
+    }
+
+    /**
+     * Releases every held note
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    allNotesOff(time = null) {
+        this.port.postMessage({ type: 'allNotesOff', time });
+    }
+
+    /**
+     * Sets the sustain pedal state
+     * @param {boolean} on - Pedal state
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    setSustain(on, time = null) {
+        this.port.postMessage({ type: 'sustain', value: on, time });
+    }
+
+    /**
+     * Sets the pitch bend
+     * @param {number} value - Bend from -1.0 to 1.0
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    setPitchBend(value, time = null) {
+        this.port.postMessage({ type: 'pitchBend', value, time });
+    }
+
+    /**
+     * Sets a performance controller position
+     * @param {string} controller - 'modWheel', 'foot', 'breath' or 'aftertouch'
+     * @param {number} value - Controller position (0.0-1.0)
+     * @param {number} [time] - AudioContext time in seconds, now if omitted
+     */
+    setController(controller, value, time = null) {
+        this.port.postMessage({ type: 'controller', controller, value, time });
+    }
+
+    /**
+     * Sets performance function settings shared by every patch, or null to
+     * use the settings stored in each patch
+     * @param {FunctionSettings|null} settings
+     */
+    setFunctionSettings(settings) {
+        this.port.postMessage({ type: 'functionSettings', settings: settings === null ? null : { ...settings } });
+    }
+
+    /**
+     * Retunes the player, including sounding notes
+     * @param {Tuning|null} tuning - Microtuning, or null for 12-TET at A4 = 440 Hz
+     */
+    setTuning(tuning) {
+        this.port.postMessage({ type: 'tuning', tuning: tuning === null ? null : tuning.toJSON() });
+    }
+
+    /**
+     * Sets the output gain
+     */
+    setGain(gain) {
+        this.port.postMessage({ type: 'gain', gain });
+    }
+}
@@ -0,0 +1,162 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * AudioWorkletProcessor playing DX7 patches in real time
+ *
+ * Load this module with `audioContext.audioWorklet.addModule()` and create an
+ * `AudioWorkletNode` named 'dx7-processor' (or use Dx7Node from dx7_node.js).
+ * It is driven by messages posted to its port:
+ *
+ * - `{ type: 'patch', patch }` with `patch` from Patch.toJSON()
+ * - `{ type: 'noteOn', note, velocity, time }`, velocity 0.0-1.0
+ * - `{ type: 'noteOff', note, time }`
+ * - `{ type: 'allNotesOff', time }`
+ * - `{ type: 'sustain', value, time }`, value true or false
+ * - `{ type: 'pitchBend', value, time }`, value -1.0 to 1.0
+ * - `{ type: 'controller', controller, value, time }`, controller 'modWheel',
+ *   'foot', 'breath' or 'aftertouch', value 0.0-1.0
+ * - `{ type: 'functionSettings', settings }`, with FunctionSettings fields, or
+ *   null to use the settings stored in each patch
+ * - `{ type: 'tuning', tuning }`, with `tuning` from Tuning.toJSON(), or null
+ *   for 12-TET at A4 = 440 Hz
+ * - `{ type: 'gain', gain }`
+ *
+ * Messages that cannot be applied (an invalid patch or tuning, an unknown
+ * type) are answered with `{ type: 'error', message }` on the same port.
+ *
+ * `time` is optional and uses the AudioContext clock in seconds; events
+ * without it play as soon as possible.
+ *
+ * Processor options (`processorOptions`): polyphony, stealing, seed and gain.
+ */
+
+import { FunctionSettings } from './fm/function_settings.js';
+import { Patch } from './fm/patch.js';
+import { Synth } from './fm/synth.js';
+import { Tuning } from './fm/tuning.js';
+
+/**
+ * Peak of the loudest full velocity note of the ROM1A, ROM1B and ROM2A banks
+ * (BRASS 2), measured at C3, C4 and C5
+ */
+const LOUDEST_NOTE_PEAK = 7.1;
+
+/**
+ * Default output gain, leaving headroom for half the voices playing at once
+ *
+ * Notes struck together add up almost linearly. With 16 voices, the loudest
+ * single note peaks at -18dBFS and an 8 note chord of it at -2dBFS (all 16
+ * notes reach +1.5dBFS), while a typical patch plays a single note around
+ * -26dBFS.
+ */
+function defaultGain(polyphony) {
+    return 2.0 / (LOUDEST_NOTE_PEAK * polyphony);
+}
+
+class Dx7Processor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { polyphony = 16, stealing, seed, gain = defaultGain(polyphony) } = options.processorOptions || {};
+        this.synthOptions = { polyphony, stealing, seed };
+        this.gain = gain;
+        this.synth = new Synth(new Patch(), sampleRate, this.synthOptions);
+
+        this.port.onmessage = (event) => {
+            try {
+                this.handleMessage(event.data);
+            } catch (error) {
+                this.port.postMessage({ type: 'error', message: error.message });
+            }
+        };
+    }
+
+    /**
+     * Converts an AudioContext time in seconds to a synth time in samples
+     */
+    synthTime(time) {
+        if (time === undefined || time === null) {
+            return this.synth.time;
+        }
+        return this.synth.time + Math.max(0, (time - currentTime) * sampleRate);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'patch':
+                this.synth.setPatch(Patch.fromJSON(message.patch));
+                break;
+            case 'noteOn':
+                this.synth.noteOn(message.note, message.velocity ?? 1.0, this.synthTime(message.time));
+                break;
+            case 'noteOff':
+                this.synth.noteOff(message.note, this.synthTime(message.time));
+                break;
+            case 'allNotesOff':
+                this.synth.allNotesOff(this.synthTime(message.time));
+                break;
+            case 'sustain':
+                this.synth.setSustain(message.value, this.synthTime(message.time));
+                break;
+            case 'pitchBend':
+                this.synth.setPitchBend(message.value, this.synthTime(message.time));
+                break;
+            case 'controller':
+                this.synth.setController(message.controller, message.value, this.synthTime(message.time));
+                break;
+            case 'functionSettings':
+                this.synth.setFunctionSettings(
+                    message.settings === null ? null : FunctionSettings.fromJSON(message.settings)
+                );
+                break;
+            case 'tuning':
+                this.synth.setTuning(message.tuning === null ? null : new Tuning(message.tuning));
+                break;
+            case 'gain':
+                this.gain = message.gain;
+                break;
+            default:
+                throw new Error(`Unknown message type ${message.type}`);
+        }
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        if (output.length === 0) {
+            return true;
+        }
+
+        const channel = output[0];
+        this.synth.process(channel);
+        for (let i = 0; i < channel.length; i++) {
+            channel[i] *= this.gain;
+        }
+        for (let c = 1; c < output.length; c++) {
+            output[c].set(channel);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('dx7-processor', Dx7Processor);
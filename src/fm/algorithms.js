@@ -27,9 +27,6 @@
 
 import { renderOperators } from './operator.js';
 
-const NUM_OPERATORS = 6;
-const NUM_ALGORITHMS = 32;
-
 // Opcode flag constants
 const DESTINATION_MASK = 0x03;
 const SOURCE_MASK = 0x30;
@@ -63,10 +60,14 @@ const OUTPUT = addFlags(0);
 export class Algorithms {
     /**
      * Creates and initializes a new algorithm manager
+     * @param {number} [numOperators=6] - 6 for the DX7 algorithms, 4 for the DX100/TX81Z algorithms
      */
-    constructor() {
-        this.renderCalls = Array.from({ length: NUM_ALGORITHMS }, () =>
-            Array.from({ length: NUM_OPERATORS }, () => new RenderCall())
+    constructor(numOperators = 6) {
+        this.numOperators = numOperators;
+        this.opcodes = numOperators === 4 ? OPCODES_4 : OPCODES_6;
+        this.renderers = numOperators === 4 ? RENDERERS_4 : RENDERERS_6;
+        this.renderCalls = Array.from({ length: this.opcodes.length }, () =>
+            Array.from({ length: numOperators }, () => new RenderCall())
         );
         this.init();
     }
@@ -75,7 +76,7 @@ export class Algorithms {
      * Initializes all algorithms by compiling their opcodes
      */
     init() {
-        for (let i = 0; i < NUM_ALGORITHMS; i++) {
+        for (let i = 0; i < this.opcodes.length; i++) {
             this.compile(i);
         }
     }
@@ -91,19 +92,19 @@ export class Algorithms {
      * Checks if an operator is a modulator (not a carrier)
      */
     isModulator(algorithm, op) {
-        return (OPCODES_6[algorithm][op] & DESTINATION_MASK) !== 0;
+        return (this.opcodes[algorithm][op] & DESTINATION_MASK) !== 0;
     }
 
     compile(algorithm) {
-        const opcodes = OPCODES_6[algorithm];
+        const opcodes = this.opcodes[algorithm];
         let i = 0;
 
-        while (i < NUM_OPERATORS) {
+        while (i < this.numOperators) {
             const opcode = opcodes[i];
             let n = 1;
 
             // Try to chain operators together
-            while (i + n < NUM_OPERATORS) {
+            while (i + n < this.numOperators) {
                 const from = opcodes[i + n - 1];
                 const to = (opcodes[i + n] & SOURCE_MASK) >> 4;
 
@@ -155,7 +156,7 @@ export class Algorithms {
     }
 
     getRenderer(n, modulationSource, additive) {
-        for (const specs of RENDERERS_6) {
+        for (const specs of this.renderers) {
             if (specs.n === 0) {
                 break;
             }
@@ -230,6 +231,26 @@ const OPCODES_6 = [
     [FB | OUTPUT, NO_MOD | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0)],
 ];
 
+// 4-operator opcodes (DX21/DX27/DX100/TX81Z)
+const OPCODES_4 = [
+    // Algorithm 1: 4 -> 3 -> 2 -> 1
+    [FB | outFlags(1), modFlags(1) | outFlags(1), modFlags(1) | outFlags(1), modFlags(1) | addFlags(0)],
+    // Algorithm 2: 4 + 3 -> 2 -> 1
+    [FB | outFlags(1), NO_MOD | addFlags(1), modFlags(1) | outFlags(1), modFlags(1) | addFlags(0)],
+    // Algorithm 3: 4 + (3 -> 2) -> 1
+    [FB | outFlags(1), NO_MOD | outFlags(2), modFlags(2) | addFlags(1), modFlags(1) | addFlags(0)],
+    // Algorithm 4: (4 -> 3) + 2 -> 1
+    [FB | outFlags(1), modFlags(1) | outFlags(1), NO_MOD | addFlags(1), modFlags(1) | addFlags(0)],
+    // Algorithm 5: (4 -> 3) + (2 -> 1)
+    [FB | outFlags(1), modFlags(1) | addFlags(0), NO_MOD | outFlags(1), modFlags(1) | addFlags(0)],
+    // Algorithm 6: (4 -> 3) + (4 -> 2) + (4 -> 1)
+    [FB | outFlags(1), modFlags(1) | addFlags(0), modFlags(1) | addFlags(0), modFlags(1) | addFlags(0)],
+    // Algorithm 7: (4 -> 3) + 2 + 1
+    [FB | outFlags(1), modFlags(1) | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0)],
+    // Algorithm 8: 4 + 3 + 2 + 1
+    [FB | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0), NO_MOD | addFlags(0)],
+];
+
 // 6-operator renderers
 const RENDERERS_6 = [
     new RendererSpecs(1, -2, false, renderOperators(1, -2, false)),
@@ -242,3 +263,16 @@ const RENDERERS_6 = [
     new RendererSpecs(2, 1, true, renderOperators(2, 1, true)),
     new RendererSpecs(0, 0, false, renderOperators(1, -1, false)),
 ];
+
+// 4-operator renderers
+const RENDERERS_4 = [
+    new RendererSpecs(1, -2, false, renderOperators(1, -2, false)),
+    new RendererSpecs(1, -2, true, renderOperators(1, -2, true)),
+    new RendererSpecs(1, -1, false, renderOperators(1, -1, false)),
+    new RendererSpecs(1, -1, true, renderOperators(1, -1, true)),
+    new RendererSpecs(1, 0, false, renderOperators(1, 0, false)),
+    new RendererSpecs(1, 0, true, renderOperators(1, 0, true)),
+    new RendererSpecs(3, 2, true, renderOperators(3, 2, true)),
+    new RendererSpecs(2, 1, true, renderOperators(2, 1, true)),
+    new RendererSpecs(0, 0, false, renderOperators(1, -1, false)),
+];
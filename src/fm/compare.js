@@ -0,0 +1,253 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Patch diffing and bank comparison
+ *
+ * Parameter paths use 1-offset operator numbers like Patch.setOp, e.g.
+ * `op1.envelope.rate[2]` or `modulations.waveform`.
+ *
+ * The distance between two patches is the sum of the differences of all
+ * their parameters, each scaled to its range, except for switches and
+ * selectors (algorithm, oscillator mode, curves, waveforms...) which count 1
+ * whenever they differ. A distance of 1 is thus one parameter moved across
+ * its whole range, or one switch flipped. Names are never part of the distance.
+ */
+
+import {
+    DISCRETE_PARAMETERS,
+    KEYBOARD_SCALING_RANGES,
+    MODULATION_RANGES,
+    OPERATOR_RANGES,
+    SUPPLEMENT_RANGES,
+} from './patch.js';
+
+/**
+ * Lists every parameter of a patch (except its name and supplement) as
+ * `[path, value, max, discrete]` entries, always in the same order
+ */
+function parameters(patch) {
+    const entries = [];
+    const add = (path, key, value, max) => {
+        entries.push([path, value, max, DISCRETE_PARAMETERS.has(key)]);
+    };
+
+    add('algorithm', 'algorithm', patch.algorithm, patch.op.length === 4 ? 7 : 31);
+    add('feedback', 'feedback', patch.feedback, 7);
+    add('resetPhase', 'resetPhase', patch.resetPhase, 1);
+    add('transpose', 'transpose', patch.transpose, 48);
+
+    for (let j = 0; j < 4; j++) {
+        add(`pitchEnvelope.rate[${j}]`, 'rate', patch.pitchEnvelope.rate[j], 99);
+        add(`pitchEnvelope.level[${j}]`, 'level', patch.pitchEnvelope.level[j], 99);
+    }
+
+    for (const [key, max] of Object.entries(MODULATION_RANGES)) {
+        add(`modulations.${key}`, key, patch.modulations[key], max);
+    }
+
+    const n = patch.op.length;
+    for (let number = 1; number <= n; number++) {
+        const idx = n - number;
+        const o = patch.op[idx];
+        const prefix = `op${number}.`;
+
+        add(`${prefix}enabled`, 'enabled', ((patch.activeOperators >> idx) & 1) === 1, 1);
+        for (let j = 0; j < 4; j++) {
+            add(`${prefix}envelope.rate[${j}]`, 'rate', o.envelope.rate[j], 99);
+            add(`${prefix}envelope.level[${j}]`, 'level', o.envelope.level[j], 99);
+        }
+        for (const [key, max] of Object.entries(KEYBOARD_SCALING_RANGES)) {
+            add(`${prefix}keyboardScaling.${key}`, key, o.keyboardScaling[key], max);
+        }
+        for (const [key, max] of Object.entries(OPERATOR_RANGES)) {
+            add(`${prefix}${key}`, key, o[key], max);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Lists the DX7II supplemental parameters of a patch as parameter entries
+ */
+function supplementParameters(patch) {
+    const s = patch.supplement;
+    const entries = [];
+    const n = patch.op.length;
+
+    for (let number = 1; number <= n; number++) {
+        const idx = n - number;
+        entries.push([`supplement.op${number}.scalingMode`, s.scalingMode[idx], 1, true]);
+        entries.push([`supplement.op${number}.ampModSensitivity`, s.ampModSensitivity[idx], 7, false]);
+    }
+    for (const [key, max] of Object.entries(SUPPLEMENT_RANGES)) {
+        entries.push([`supplement.${key}`, s[key], max, DISCRETE_PARAMETERS.has(key)]);
+    }
+
+    return entries;
+}
+
+function entryDistance(oldValue, newValue, max, discrete) {
+    if (oldValue === newValue) {
+        return 0.0;
+    }
+    return discrete ? 1.0 : Math.abs(newValue - oldValue) / max;
+}
+
+/**
+ * Diffs two patches field by field
+ * @param {Patch} a - Old patch
+ * @param {Patch} b - New patch
+ * @returns {Array<{path: string, oldValue: *, newValue: *, distance: number}>} - One entry per changed parameter
+ */
+export function diffPatches(a, b) {
+    if (a.op.length !== b.op.length) {
+        throw new Error(`Cannot diff a ${a.op.length}-operator patch with a ${b.op.length}-operator patch`);
+    }
+
+    const differences = [];
+
+    const oldName = a.getName();
+    const newName = b.getName();
+    if (oldName !== newName) {
+        differences.push({ path: 'name', oldValue: oldName, newValue: newName, distance: 0.0 });
+    }
+
+    const pushChanges = (oldEntries, newEntries) => {
+        oldEntries.forEach(([path, oldValue, max, discrete], i) => {
+            const newValue = newEntries[i][1];
+            if (oldValue !== newValue) {
+                differences.push({
+                    path,
+                    oldValue,
+                    newValue,
+                    distance: entryDistance(oldValue, newValue, max, discrete),
+                });
+            }
+        });
+    };
+
+    pushChanges(parameters(a), parameters(b));
+
+    if (a.supplement !== null && b.supplement !== null) {
+        pushChanges(supplementParameters(a), supplementParameters(b));
+    } else if (a.supplement !== b.supplement) {
+        differences.push({
+            path: 'supplement',
+            oldValue: a.supplement,
+            newValue: b.supplement,
+            distance: 1.0,
+        });
+    }
+
+    return differences;
+}
+
+/**
+ * Parameter distance between two patches (0 for identical sounds)
+ */
+export function patchDistance(a, b) {
+    return diffPatches(a, b).reduce((sum, d) => sum + d.distance, 0.0);
+}
+
+/**
+ * Finds exact and near-duplicate patches within and across banks
+ *
+ * Only patches with the same number of operators are compared. Patches that
+ * differ in name only are exact duplicates.
+ *
+ * @param {Array<{name: string, patches: Patch[]}>} banks - Labeled banks, e.g. `{ name: 'ROM1A', patches: bank.patches }`
+ * @param {Object} [options]
+ * @param {number} [options.threshold=1.0] - Largest distance at which two patches count as near-duplicates
+ * @returns {{
+ *     exact: Array<Array<{bank: string, index: number, name: string}>>,
+ *     near: Array<{a: {bank: string, index: number, name: string}, b: {bank: string, index: number, name: string}, distance: number, differences: Array}>
+ * }} - Groups of identical patches, and near-duplicate pairs sorted by distance
+ */
+export function compareBanks(banks, { threshold = 1.0 } = {}) {
+    const items = [];
+    for (const bank of banks) {
+        bank.patches.forEach((patch, index) => {
+            const entries = parameters(patch);
+            if (patch.supplement !== null) {
+                entries.push(...supplementParameters(patch));
+            }
+            items.push({
+                ref: { bank: bank.name, index, name: patch.getName() },
+                patch,
+                key: `${patch.op.length}:${patch.supplement !== null}:${entries.map(e => Number(e[1])).join(',')}`,
+                entries,
+            });
+        });
+    }
+
+    // Exact duplicates share every parameter value
+    const groups = new Map();
+    for (const item of items) {
+        if (!groups.has(item.key)) {
+            groups.set(item.key, []);
+        }
+        groups.get(item.key).push(item);
+    }
+
+    const exact = [];
+    const representatives = [];
+    for (const group of groups.values()) {
+        if (group.length > 1) {
+            exact.push(group.map(item => item.ref));
+        }
+        representatives.push(group);
+    }
+
+    // Near duplicates are compared once per group of exact duplicates
+    const near = [];
+    for (let i = 0; i < representatives.length; i++) {
+        const a = representatives[i][0];
+        for (let j = i + 1; j < representatives.length; j++) {
+            const b = representatives[j][0];
+            if (a.patch.op.length !== b.patch.op.length || a.entries.length !== b.entries.length) {
+                continue;
+            }
+
+            let distance = 0.0;
+            for (let k = 0; k < a.entries.length && distance <= threshold; k++) {
+                const [, oldValue, max, discrete] = a.entries[k];
+                distance += entryDistance(oldValue, b.entries[k][1], max, discrete);
+            }
+            if (distance > threshold) {
+                continue;
+            }
+
+            const differences = diffPatches(a.patch, b.patch);
+            for (const itemA of representatives[i]) {
+                for (const itemB of representatives[j]) {
+                    near.push({ a: itemA.ref, b: itemB.ref, distance, differences });
+                }
+            }
+        }
+    }
+
+    near.sort((x, y) => x.distance - y.distance);
+
+    return { exact, near };
+}
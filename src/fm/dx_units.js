@@ -53,6 +53,9 @@ export const LUT_CUBE_ROOT = new Float32Array([
     0.97871693135, 1.0,
 ]);
 
+/** DX7II pitch envelope range (8, 2, 1 and 1/2 octaves) relative to the DX7 range */
+export const LUT_PITCH_ENVELOPE_RANGE = new Float32Array([1.0, 0.25, 0.125, 0.0625]);
+
 /** Minimum LFO frequency */
 export const MIN_LFO_FREQUENCY = 0.005865;
 
@@ -120,6 +123,21 @@ export function pitchEnvelopeLevel(level) {
     return l * (1.0 + tail * tail * 5.3056);
 }
 
+/**
+ * DX7II pitch envelope range (0-3) to a pitch envelope scale factor
+ */
+export function pitchEnvelopeRange(range) {
+    return LUT_PITCH_ENVELOPE_RANGE[range];
+}
+
+/**
+ * Convert a DX7II random pitch fluctuation depth (0-7) to the maximum
+ * deviation in semitones (7 => a little under half a semitone)
+ */
+export function randomPitchDepth(depth) {
+    return depth * 0.0625;
+}
+
 /**
  * Convert an operator envelope rate from 0-99 to a frequency increment
  */
@@ -162,6 +180,13 @@ export function lfoDelay(delay) {
     }
 }
 
+/**
+ * DX7 portamento time (0-99) to a glide rate in semitones per second
+ */
+export function portamentoRate(time) {
+    return 350.0 * Math.pow(2.0, -0.062 * time);
+}
+
 /**
  * Pre-process velocity to easily compute velocity scaling
  */
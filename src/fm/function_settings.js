@@ -0,0 +1,173 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * DX7 function settings: pitch bend, performance controller routing, mono
+ * mode and portamento
+ *
+ * On a DX7 these live in the function memory and apply to every voice; the
+ * DX7II stores them per voice in its supplement (AMEM/ACED), which
+ * FunctionSettings.fromPatch reads.
+ */
+
+/**
+ * Portamento modes
+ */
+export const PortamentoMode = {
+    /** Glide only between overlapping (legato) notes (0) */
+    Fingered: 0,
+    /** Glide from the previous note on every note (1) */
+    FullTime: 1,
+};
+
+/** Performance controllers that can be routed */
+export const CONTROLLERS = ['modWheel', 'foot', 'breath', 'aftertouch'];
+
+/**
+ * Destination depths of one performance controller
+ */
+export class ControllerRouting {
+    /**
+     * @param {number} [pitch=0] - Pitch (LFO vibrato) depth (0-99)
+     * @param {number} [amp=0] - Amplitude (LFO tremolo) depth (0-99)
+     * @param {number} [egBias=0] - EG bias depth (0-99)
+     */
+    constructor(pitch = 0, amp = 0, egBias = 0) {
+        /** Extra LFO pitch modulation depth at full controller (0-99) */
+        this.pitch = pitch;
+        /** Extra LFO amplitude modulation depth at full controller (0-99) */
+        this.amp = amp;
+        /**
+         * Attenuation of amplitude modulation sensitive operators with the
+         * controller at rest, fading out as it is raised (0-99)
+         */
+        this.egBias = egBias;
+    }
+
+    /**
+     * Creates a routing the DX7 way: one range, sent to each assigned destination
+     * @param {number} range - Controller range (0-99)
+     * @param {{pitch?: boolean, amp?: boolean, egBias?: boolean}} assign - Destinations
+     */
+    static fromAssign(range, { pitch = false, amp = false, egBias = false } = {}) {
+        return new ControllerRouting(pitch ? range : 0, amp ? range : 0, egBias ? range : 0);
+    }
+}
+
+/**
+ * Pitch bend and controller settings of a patch or performance
+ */
+export class FunctionSettings {
+    constructor() {
+        /** Pitch bend range in semitones (0-12) */
+        this.pitchBendRange = 2;
+        /** Pitch bend step in semitones (0-12, 0 = continuous) */
+        this.pitchBendStep = 0;
+        /** Mod wheel routing, vibrato by default */
+        this.modWheel = new ControllerRouting(99, 0, 0);
+        /** Foot controller routing */
+        this.foot = new ControllerRouting();
+        /** Breath controller routing */
+        this.breath = new ControllerRouting();
+        /** Aftertouch routing */
+        this.aftertouch = new ControllerRouting();
+        /** Mono mode: one voice, legato notes do not retrigger the envelopes */
+        this.mono = false;
+        /** Portamento mode, see PortamentoMode */
+        this.portamentoMode = PortamentoMode.Fingered;
+        /** Portamento time (0-99, 0 = off), a fixed glide rate that slows as it rises */
+        this.portamentoTime = 0;
+        /** Portamento step in semitones (0-12, 0 = smooth glide, 1 = DX7 glissando) */
+        this.portamentoStep = 0;
+    }
+
+    /**
+     * Creates the settings stored in a DX7II patch supplement, or the
+     * defaults for patches without one
+     */
+    static fromPatch(patch) {
+        const settings = new FunctionSettings();
+        const s = patch.supplement;
+        if (s === null) {
+            return settings;
+        }
+
+        settings.pitchBendRange = s.pitchBendRange;
+        settings.pitchBendStep = s.pitchBendStep;
+        settings.modWheel = new ControllerRouting(s.modWheelPitch, s.modWheelAmp, s.modWheelEgBias);
+        settings.foot = new ControllerRouting(s.foot1Pitch, s.foot1Amp, s.foot1EgBias);
+        settings.breath = new ControllerRouting(s.breathPitch, s.breathAmp, s.breathEgBias);
+        settings.aftertouch = new ControllerRouting(s.aftertouchPitch, s.aftertouchAmp, s.aftertouchEgBias);
+        // Mono and unison mono
+        settings.mono = (s.polyMode & 1) === 1;
+        settings.portamentoMode = s.portamentoMode;
+        settings.portamentoTime = s.portamentoTime;
+        settings.portamentoStep = s.portamentoStep;
+        return settings;
+    }
+
+    /**
+     * Creates settings from a plain object with the same fields, such as a
+     * FunctionSettings sent through postMessage, validating every range
+     */
+    static fromJSON(json) {
+        const settings = new FunctionSettings();
+        const read = (obj, key, max, path) => {
+            const value = obj[key];
+            if (!Number.isInteger(value) || value < 0 || value > max) {
+                throw new Error(`Invalid function settings: ${path}${key} must be an integer between 0 and ${max}`);
+            }
+            return value;
+        };
+
+        settings.pitchBendRange = read(json, 'pitchBendRange', 12, '');
+        settings.pitchBendStep = read(json, 'pitchBendStep', 12, '');
+        for (const controller of CONTROLLERS) {
+            const routing = json[controller] || {};
+            settings[controller] = new ControllerRouting(
+                read(routing, 'pitch', 99, `${controller}.`),
+                read(routing, 'amp', 99, `${controller}.`),
+                read(routing, 'egBias', 99, `${controller}.`)
+            );
+        }
+
+        if (typeof json.mono !== 'boolean') {
+            throw new Error('Invalid function settings: mono must be a boolean');
+        }
+        settings.mono = json.mono;
+        settings.portamentoMode = read(json, 'portamentoMode', 1, '');
+        settings.portamentoTime = read(json, 'portamentoTime', 99, '');
+        settings.portamentoStep = read(json, 'portamentoStep', 12, '');
+        return settings;
+    }
+
+    /**
+     * Converts a pitch bend position (-1.0 to 1.0) to semitones
+     */
+    pitchBendSemitones(bend) {
+        const semitones = bend * this.pitchBendRange;
+        if (this.pitchBendStep === 0) {
+            return semitones;
+        }
+        return Math.round(semitones / this.pitchBendStep) * this.pitchBendStep;
+    }
+}
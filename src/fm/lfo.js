@@ -27,7 +27,7 @@
 
 import { lfoDelay, lfoFrequency, pitchModSensitivity } from './dx_units.js';
 import { sine } from '../stmlib/dsp.js';
-import { getFloat } from '../stmlib/random.js';
+import { Random } from '../stmlib/random.js';
 
 /**
  * LFO waveform types
@@ -78,9 +78,12 @@ export class Lfo {
         this.oneHz = 0.0;
         this.ampModDepth = 0.0;
         this.pitchModDepth = 0.0;
+        this.pitchModSensitivity = 0.0;
         this.waveform = Waveform.Triangle;
         this.resetPhase = false;
         this.phaseIntegral = 0;
+        /** Random generator for the S&H waveform, may be shared with the voices of a render */
+        this.random = new Random();
     }
 
     /**
@@ -99,6 +102,7 @@ export class Lfo {
 
         this.ampModDepth = 0.0;
         this.pitchModDepth = 0.0;
+        this.pitchModSensitivity = 0.0;
 
         this.waveform = Waveform.Triangle;
         this.resetPhase = false;
@@ -121,8 +125,8 @@ export class Lfo {
 
         this.ampModDepth = modulations.ampModDepth * 0.01;
 
-        this.pitchModDepth = modulations.pitchModDepth * 0.01
-            * pitchModSensitivity(modulations.pitchModSensitivity);
+        this.pitchModSensitivity = pitchModSensitivity(modulations.pitchModSensitivity);
+        this.pitchModDepth = modulations.pitchModDepth * 0.01 * this.pitchModSensitivity;
     }
 
     /**
@@ -142,7 +146,7 @@ export class Lfo {
         this.phase += scale * this.frequency;
         if (this.phase >= 1.0) {
             this.phase -= 1.0;
-            this.randomValue = getFloat();
+            this.randomValue = this.random.getFloat();
         }
         this.value_ = this.value();
 
@@ -163,7 +167,7 @@ export class Lfo {
         this.phase = phaseFractional;
         if (phaseIntegral !== this.phaseIntegral) {
             this.phaseIntegral = phaseIntegral;
-            this.randomValue = getFloat();
+            this.randomValue = this.random.getFloat();
         }
         this.value_ = this.value();
 
@@ -225,4 +229,20 @@ export class Lfo {
     ampMod() {
         return (1.0 - this.value_) * this.delayRamp() * this.ampModDepth;
     }
+
+    /**
+     * Returns the pitch modulation added by a controller such as the mod
+     * wheel, at a depth of 0.0-1.0. Controllers are not delayed.
+     */
+    controllerPitchMod(depth) {
+        return (this.value_ - 0.5) * depth * this.pitchModSensitivity;
+    }
+
+    /**
+     * Returns the amplitude modulation added by a controller, at a depth of
+     * 0.0-1.0. Controllers are not delayed.
+     */
+    controllerAmpMod(depth) {
+        return (1.0 - this.value_) * depth;
+    }
 }
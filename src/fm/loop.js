@@ -0,0 +1,116 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Sustain loop detection for rendered notes
+ *
+ * Loops run between upward zero crossings of the key-on part of a note whose
+ * surroundings match, so that jumping from the loop end back to the loop
+ * start carries on the waveform in phase.
+ */
+
+/**
+ * Finds a sustain loop in a rendered note
+ *
+ * The loop end is the last upward zero crossing of the sustain, and the loop
+ * start the earliest crossing whose neighbourhood matches it within the
+ * tolerance of the best match, as longer loops sound less static.
+ * @param {Float32Array} samples - Rendered note
+ * @param {number} sustainEnd - Number of key-on samples, the loop ends before the release
+ * @param {Object} [options]
+ * @param {number} [options.sustainStart=sustainEnd/2] - First sample searched, past the attack and decay
+ * @param {number} [options.minLength=2048] - Shortest loop in samples
+ * @param {number} [options.window=256] - Samples compared around both ends of the loop
+ * @param {number} [options.maxError=0.1] - Largest mismatch accepted (0 = identical, 1 = uncorrelated)
+ * @param {number} [options.tolerance=0.005] - Mismatch above the best match allowed for a longer loop
+ * @returns {{start: number, end: number, error: number}|null} - Loop start and (exclusive) end, null if nothing matches
+ */
+export function findLoop(samples, sustainEnd, {
+    sustainStart = Math.floor(sustainEnd / 2),
+    minLength = 2048,
+    window = 256,
+    maxError = 0.1,
+    tolerance = 0.005,
+} = {}) {
+    const half = window >> 1;
+    const first = Math.max(sustainStart, half, 1);
+    const last = Math.min(sustainEnd, samples.length) - half;
+
+    const crossings = [];
+    for (let i = first; i <= last; i++) {
+        if (samples[i - 1] < 0.0 && samples[i] >= 0.0) {
+            crossings.push(i);
+        }
+    }
+    if (crossings.length < 2) {
+        return null;
+    }
+
+    const end = crossings[crossings.length - 1];
+    const candidates = [];
+    let bestError = Infinity;
+    for (const start of crossings) {
+        if (end - start < minLength) {
+            break;
+        }
+
+        const error = mismatch(samples, start, end, half);
+        candidates.push({ start, end, error });
+        bestError = Math.min(bestError, error);
+    }
+    if (!(bestError < maxError)) {
+        return null;
+    }
+
+    return candidates.find(loop => loop.error <= bestError + tolerance);
+}
+
+/**
+ * Normalized squared difference between the neighbourhoods of two positions
+ */
+function mismatch(samples, a, b, half) {
+    let difference = 0.0;
+    let energy = 0.0;
+    for (let k = -half; k < half; k++) {
+        const x = samples[a + k];
+        const y = samples[b + k];
+        difference += (x - y) * (x - y);
+        energy += x * x + y * y;
+    }
+    return energy > 0.0 ? difference / energy : Infinity;
+}
+
+/**
+ * Crossfades the samples leading up to the loop end into those leading up to
+ * the loop start, in place, so that the jump back is seamless
+ * @param {Float32Array} samples - Rendered note
+ * @param {{start: number, end: number}} loop - Loop found by findLoop
+ * @param {number} length - Crossfade length in samples, shortened to fit before the loop start and within the loop
+ */
+export function crossfadeLoop(samples, loop, length) {
+    const n = Math.min(length, loop.start, loop.end - loop.start);
+    for (let k = 0; k < n; k++) {
+        const t = (k + 1) / n;
+        const i = loop.end - n + k;
+        samples[i] = samples[i] * (1.0 - t) + samples[loop.start - n + k] * t;
+    }
+}
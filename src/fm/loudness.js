@@ -0,0 +1,183 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Loudness and true-peak measurement after ITU-R BS.1770
+ *
+ * Measurements cover several buffers at once, e.g. all zones of a
+ * multisample, as if they were played one after the other.
+ */
+
+/** Gating block length in seconds */
+const BLOCK_DURATION = 0.4;
+
+/** Gating blocks overlap by 75% */
+const BLOCK_STEP = 0.1;
+
+/** Blocks quieter than this (LUFS) are ignored */
+const ABSOLUTE_GATE = -70.0;
+
+/** Blocks more than this (LU) below the ungated loudness are ignored */
+const RELATIVE_GATE = -10.0;
+
+/** Taps on each side of the interpolation filter of the true-peak meter */
+const TRUE_PEAK_TAPS = 6;
+
+/** Oversampling factor of the true-peak meter */
+const TRUE_PEAK_OVERSAMPLING = 4;
+
+/**
+ * Biquad filter coefficients, normalized by a0
+ */
+function biquad(b0, b1, b2, a0, a1, a2) {
+    return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
+
+/**
+ * K-weighting filter stages (head shelf then high-pass) for a sample rate
+ */
+function kWeighting(sampleRate) {
+    // High shelf, +4 dB above 1.5 kHz
+    let w0 = 2.0 * Math.PI * 1500.0 / sampleRate;
+    let alpha = Math.sin(w0) / (2.0 * Math.SQRT1_2);
+    const A = Math.pow(10.0, 4.0 / 40.0);
+    const cos = Math.cos(w0);
+    const shelf = biquad(
+        A * ((A + 1) + (A - 1) * cos + 2 * Math.sqrt(A) * alpha),
+        -2 * A * ((A - 1) + (A + 1) * cos),
+        A * ((A + 1) + (A - 1) * cos - 2 * Math.sqrt(A) * alpha),
+        (A + 1) - (A - 1) * cos + 2 * Math.sqrt(A) * alpha,
+        2 * ((A - 1) - (A + 1) * cos),
+        (A + 1) - (A - 1) * cos - 2 * Math.sqrt(A) * alpha,
+    );
+
+    // High-pass at 38 Hz
+    w0 = 2.0 * Math.PI * 38.0 / sampleRate;
+    alpha = Math.sin(w0) / (2.0 * 0.5);
+    const c = Math.cos(w0);
+    const highPass = biquad((1 + c) / 2, -(1 + c), (1 + c) / 2, 1 + alpha, -2 * c, 1 - alpha);
+
+    return [shelf, highPass];
+}
+
+/**
+ * Mean square of every gating block of a buffer, after K-weighting
+ */
+function blockPowers(samples, sampleRate, stages, powers) {
+    const weighted = new Float64Array(samples);
+    for (const { b0, b1, b2, a1, a2 } of stages) {
+        let x1 = 0.0, x2 = 0.0, y1 = 0.0, y2 = 0.0;
+        for (let i = 0; i < weighted.length; i++) {
+            const x = weighted[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            weighted[i] = y;
+        }
+    }
+
+    const blockSize = Math.round(BLOCK_DURATION * sampleRate);
+    const step = Math.round(BLOCK_STEP * sampleRate);
+    for (let start = 0; start + blockSize <= weighted.length; start += step) {
+        let sum = 0.0;
+        for (let i = start; i < start + blockSize; i++) {
+            sum += weighted[i] * weighted[i];
+        }
+        powers.push(sum / blockSize);
+    }
+}
+
+/**
+ * Loudness in LUFS of a mean square
+ */
+function powerToLoudness(power) {
+    return -0.691 + 10.0 * Math.log10(power);
+}
+
+/**
+ * Gated integrated loudness of mono buffers
+ * @param {Array<Float32Array>} buffers - Audio, measured together
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} - Loudness in LUFS, -Infinity if everything is gated out
+ */
+export function integratedLoudness(buffers, sampleRate) {
+    const stages = kWeighting(sampleRate);
+    const powers = [];
+    for (const samples of buffers) {
+        blockPowers(samples, sampleRate, stages, powers);
+    }
+
+    const mean = blocks => blocks.reduce((sum, power) => sum + power, 0.0) / blocks.length;
+    const loud = powers.filter(power => powerToLoudness(power) > ABSOLUTE_GATE);
+    if (loud.length === 0) {
+        return -Infinity;
+    }
+
+    const relativeGate = powerToLoudness(mean(loud)) + RELATIVE_GATE;
+    return powerToLoudness(mean(loud.filter(power => powerToLoudness(power) > relativeGate)));
+}
+
+/**
+ * Windowed sinc interpolation taps of the true-peak meter, one set per
+ * oversampled phase between two samples
+ */
+const TRUE_PEAK_PHASES = Array.from({ length: TRUE_PEAK_OVERSAMPLING - 1 }, (_, p) => {
+    const fraction = (p + 1) / TRUE_PEAK_OVERSAMPLING;
+    const taps = new Float64Array(2 * TRUE_PEAK_TAPS);
+    for (let k = 0; k < taps.length; k++) {
+        const d = k - TRUE_PEAK_TAPS + 1 - fraction;
+        const sinc = Math.sin(Math.PI * d) / (Math.PI * d);
+        taps[k] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * d / TRUE_PEAK_TAPS));
+    }
+    return taps;
+});
+
+/**
+ * Peak level of mono buffers including the peaks between samples, estimated
+ * by 4x oversampling
+ * @param {Array<Float32Array>} buffers - Audio, measured together
+ * @returns {number} - Linear true peak (1.0 = 0 dBTP)
+ */
+export function truePeak(buffers) {
+    let peak = 0.0;
+    for (const samples of buffers) {
+        for (let i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+
+            // Interpolated values between sample i and i + 1
+            const first = i - TRUE_PEAK_TAPS + 1;
+            for (const taps of TRUE_PEAK_PHASES) {
+                let value = 0.0;
+                for (let k = 0; k < taps.length; k++) {
+                    const j = first + k;
+                    if (j >= 0 && j < samples.length) {
+                        value += samples[j] * taps[k];
+                    }
+                }
+                peak = Math.max(peak, Math.abs(value));
+            }
+        }
+    }
+    return peak;
+}
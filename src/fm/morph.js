@@ -0,0 +1,144 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Patch morphing
+ *
+ * Continuous parameters are blended linearly and rounded. Discrete
+ * parameters (algorithm, oscillator mode, coarse frequency, curves,
+ * waveforms, on/off switches) cross over from the first patch to the second
+ * at t = 0.5. An operator's mode, coarse and fine frequency cross over
+ * together whenever its mode or coarse frequency differ, so that fine never
+ * blends between unrelated frequencies.
+ */
+
+import {
+    BANK_PATCHES,
+    DISCRETE_PARAMETERS,
+    KEYBOARD_SCALING_RANGES,
+    MODULATION_RANGES,
+    OPERATOR_RANGES,
+    Patch,
+    PatchBank,
+} from './patch.js';
+
+/**
+ * Interpolates two patches
+ *
+ * The name and DX7II supplement are taken from the nearest patch.
+ *
+ * @param {Patch} a - Patch at t = 0
+ * @param {Patch} b - Patch at t = 1
+ * @param {number} t - Position between the two patches (0-1)
+ * @returns {Patch} - New patch
+ */
+export function morphPatches(a, b, t) {
+    if (a.op.length !== b.op.length) {
+        throw new Error(`Cannot morph a ${a.op.length}-operator patch with a ${b.op.length}-operator patch`);
+    }
+    if (!(t >= 0.0 && t <= 1.0)) {
+        throw new Error(`Morph position must be between 0 and 1, got ${t}`);
+    }
+
+    const nearest = t < 0.5 ? a : b;
+    const blend = (x, y, discrete = false) => {
+        if (discrete) {
+            return t < 0.5 ? x : y;
+        }
+        return Math.round(x + (y - x) * t);
+    };
+    const blendEnvelope = (target, x, y) => {
+        for (let j = 0; j < 4; j++) {
+            target.rate[j] = blend(x.rate[j], y.rate[j]);
+            target.level[j] = blend(x.level[j], y.level[j]);
+        }
+    };
+
+    const patch = Patch.fromJSON(nearest.toJSON());
+
+    patch.algorithm = blend(a.algorithm, b.algorithm, true);
+    patch.feedback = blend(a.feedback, b.feedback);
+    patch.resetPhase = blend(a.resetPhase, b.resetPhase, true);
+    patch.transpose = blend(a.transpose, b.transpose);
+    blendEnvelope(patch.pitchEnvelope, a.pitchEnvelope, b.pitchEnvelope);
+
+    for (const key of Object.keys(MODULATION_RANGES)) {
+        patch.modulations[key] = blend(a.modulations[key], b.modulations[key], DISCRETE_PARAMETERS.has(key));
+    }
+
+    patch.op.forEach((o, idx) => {
+        const x = a.op[idx];
+        const y = b.op[idx];
+
+        blendEnvelope(o.envelope, x.envelope, y.envelope);
+        for (const key of Object.keys(KEYBOARD_SCALING_RANGES)) {
+            o.keyboardScaling[key] = blend(
+                x.keyboardScaling[key],
+                y.keyboardScaling[key],
+                DISCRETE_PARAMETERS.has(key)
+            );
+        }
+
+        const sameFrequencyRange = x.mode === y.mode && x.coarse === y.coarse;
+        for (const key of Object.keys(OPERATOR_RANGES)) {
+            const discrete = DISCRETE_PARAMETERS.has(key) || (key === 'fine' && !sameFrequencyRange);
+            o[key] = blend(x[key], y[key], discrete);
+        }
+    });
+
+    patch.activeOperators = blend(a.activeOperators, b.activeOperators, true);
+
+    return patch;
+}
+
+/**
+ * Interpolates two patches at evenly spaced positions, both ends included
+ *
+ * Steps are named after the first 3 characters of each patch and numbered
+ * from 01.
+ *
+ * @param {Patch} a - First patch
+ * @param {Patch} b - Last patch
+ * @param {number} steps - Number of patches (at least 2)
+ * @returns {Patch[]}
+ */
+export function morphSteps(a, b, steps) {
+    if (!Number.isInteger(steps) || steps < 2 || steps > 99) {
+        throw new Error(`Morph steps must be an integer between 2 and 99, got ${steps}`);
+    }
+
+    const prefix = `${a.getName().slice(0, 3).padEnd(3, ' ')}-${b.getName().slice(0, 3).padEnd(3, ' ')}`;
+    const patches = [];
+    for (let i = 0; i < steps; i++) {
+        const patch = morphPatches(a, b, i / (steps - 1));
+        patch.name = `${prefix} ${String(i + 1).padStart(2, '0')}`.split('');
+        patches.push(patch);
+    }
+    return patches;
+}
+
+/**
+ * Creates a bank of 32 evenly spaced morphs between two patches
+ */
+export function morphBank(a, b) {
+    return PatchBank.fromPatches(morphSteps(a, b, BANK_PATCHES));
+}
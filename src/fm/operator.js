@@ -25,7 +25,7 @@
  * FM operator with phase accumulation and sine generation
  */
 
-import { sinePm } from '../stmlib/dsp.js';
+import { sine, sinePm } from '../stmlib/dsp.js';
 
 /**
  * Modulation source identifiers for operators
@@ -48,6 +48,8 @@ export class Operator {
         this.phase = 0;
         /** Current amplitude */
         this.amplitude = 0.0;
+        /** Oscillator waveform (0-7, TX81Z only; 0 = sine) */
+        this.waveform = 0;
     }
 
     /**
@@ -59,14 +61,56 @@ export class Operator {
     }
 }
 
+/**
+ * Phase modulated TX81Z waveform
+ *
+ * W1-W4 are a sine, a sine with sharpened peaks and their positive halves.
+ * W5-W8 squeeze W1, W2 and the rectified W1, W2 into the first half of the
+ * cycle and are silent for the second half.
+ */
+export function waveformPm(waveform, phase, pm) {
+    // Same phase offset arithmetic as sinePm
+    const phaseOffset = ((pm + 32) * 67108864.0) >>> 0;
+    phase = (phase + phaseOffset * 64) >>> 0;
+
+    if (waveform >= 4) {
+        if (phase >= 2147483648) {
+            return 0.0;
+        }
+        phase = (phase * 2) >>> 0;
+    }
+
+    const s = sine(phase / 4294967296.0);
+    switch (waveform) {
+        case 1: return s * Math.abs(s);
+        case 2: return Math.max(s, 0.0);
+        case 3: return s > 0.0 ? s * s : 0.0;
+        case 4: return s;
+        case 5: return s * Math.abs(s);
+        case 6: return Math.abs(s);
+        case 7: return s * s;
+        default: return s;
+    }
+}
+
 /**
  * Renders a chain of operators with specified modulation source
  * @param {number} N - Number of operators in chain
  * @param {number} MODULATION_SOURCE - Source of modulation
  * @param {boolean} ADDITIVE - Whether to add to output or replace
+ *
+ * The returned function optionally takes one tap buffer per operator of the
+ * chain (or null), receiving the output of each operator on its own.
  */
 export function renderOperators(N, MODULATION_SOURCE, ADDITIVE) {
-    return function(ops, f, a, fbState, fbAmount, modulation, out) {
+    // Scratch state, fully rewritten by each call
+    const frequency = new Uint32Array(N);
+    const phase = new Uint32Array(N);
+    const amplitude = new Float32Array(N);
+    const amplitudeIncrement = new Float32Array(N);
+    const waveform = new Uint8Array(N);
+
+    return function(ops, f, a, fbState, fbAmount, modulation, out, taps = null) {
         const size = out.length;
         let previous0 = 0.0;
         let previous1 = 0.0;
@@ -76,50 +120,86 @@ export function renderOperators(N, MODULATION_SOURCE, ADDITIVE) {
             previous1 = fbState[1];
         }
 
-        const frequency = new Uint32Array(N);
-        const phase = new Uint32Array(N);
-        const amplitude = new Float32Array(N);
-        const amplitudeIncrement = new Float32Array(N);
-
         const scale = 1.0 / size;
         for (let i = 0; i < N; i++) {
             frequency[i] = (Math.min(f[i], 0.5) * 4294967296.0) >>> 0;
             phase[i] = ops[i].phase;
             amplitude[i] = ops[i].amplitude;
             amplitudeIncrement[i] = (Math.min(a[i], 4.0) - amplitude[i]) * scale;
+            waveform[i] = ops[i].waveform;
         }
 
         const fbScale = fbAmount !== 0
             ? (1 << fbAmount) / 512.0
             : 0.0;
 
-        let modIdx = 0;
-        for (let sampleIdx = 0; sampleIdx < size; sampleIdx++) {
-            let pm = 0.0;
-            if (MODULATION_SOURCE >= 0) {
-                pm = (previous0 + previous1) * fbScale;
-            } else if (MODULATION_SOURCE === -2) {
-                pm = modulation[modIdx];
-            }
-
-            if (MODULATION_SOURCE === -2) {
-                modIdx += 1;
-            }
+        // Most render calls are a single sine operator: keep its state in
+        // locals, rounding the amplitude like the Float32Array below does
+        if (N === 1 && waveform[0] === 0 && taps === null) {
+            let phase0 = phase[0];
+            let amplitude0 = amplitude[0];
+            const frequency0 = frequency[0];
+            const increment0 = amplitudeIncrement[0];
+
+            for (let sampleIdx = 0; sampleIdx < size; sampleIdx++) {
+                let pm = 0.0;
+                if (MODULATION_SOURCE >= 0) {
+                    pm = (previous0 + previous1) * fbScale;
+                } else if (MODULATION_SOURCE === -2) {
+                    pm = modulation[sampleIdx];
+                }
 
-            for (let i = 0; i < N; i++) {
-                phase[i] = (phase[i] + frequency[i]) >>> 0;
-                pm = sinePm(phase[i], pm) * amplitude[i];
-                amplitude[i] += amplitudeIncrement[i];
-                if (i === MODULATION_SOURCE) {
+                phase0 = (phase0 + frequency0) >>> 0;
+                pm = sinePm(phase0, pm) * amplitude0;
+                amplitude0 = Math.fround(amplitude0 + increment0);
+                if (MODULATION_SOURCE === 0) {
                     previous1 = previous0;
                     previous0 = pm;
                 }
+
+                if (ADDITIVE) {
+                    out[sampleIdx] += pm;
+                } else {
+                    out[sampleIdx] = pm;
+                }
             }
 
-            if (ADDITIVE) {
-                out[sampleIdx] += pm;
-            } else {
-                out[sampleIdx] = pm;
+            phase[0] = phase0;
+            amplitude[0] = amplitude0;
+        } else {
+            let modIdx = 0;
+            for (let sampleIdx = 0; sampleIdx < size; sampleIdx++) {
+                let pm = 0.0;
+                if (MODULATION_SOURCE >= 0) {
+                    pm = (previous0 + previous1) * fbScale;
+                } else if (MODULATION_SOURCE === -2) {
+                    pm = modulation[modIdx];
+                }
+
+                if (MODULATION_SOURCE === -2) {
+                    modIdx += 1;
+                }
+
+                for (let i = 0; i < N; i++) {
+                    phase[i] = (phase[i] + frequency[i]) >>> 0;
+                    pm = (waveform[i] === 0
+                        ? sinePm(phase[i], pm)
+                        : waveformPm(waveform[i], phase[i], pm)) * amplitude[i];
+                    amplitude[i] += amplitudeIncrement[i];
+                    if (taps !== null && taps[i] !== null) {
+                        taps[i][sampleIdx] = pm;
+                    }
+                    if (i === MODULATION_SOURCE) {
+                        previous1 = previous0;
+                        previous0 = pm;
+                    }
+                }
+
+                if (ADDITIVE) {
+                    out[sampleIdx] += pm;
+                } else {
+                    out[sampleIdx] = pm;
+                }
             }
         }
 
@@ -25,16 +25,44 @@
  * DX7 patch data structures
  */
 
+import { extractSysexFromMidiFile, isMidiFile } from './smf.js';
+
 /** Size of SysEx patch data */
 export const SYX_SIZE = 128;
 
-const BANK_PATCHES = 32;
+/** Number of patches in a bank */
+export const BANK_PATCHES = 32;
 
 const HEADER_BANK = new Uint8Array([0xF0, 0x43, 0x00, 0x09, 0x20, 0x00]);
 
 /** DX6 voice bank (32 voices = 32 * 128 bytes packed + 2 bytes checksum) */
 export const BULK_FULL_SYSEX_SIZE = 4104;
 
+/** Size of unpacked single voice (VCED) SysEx data */
+export const VCED_SIZE = 155;
+
+const HEADER_VOICE = new Uint8Array([0xF0, 0x43, 0x00, 0x00, 0x01, 0x1B]);
+
+/** DX7 single voice dump (155 bytes unpacked voice data + header, checksum and EOX) */
+export const VOICE_SYSEX_SIZE = 163;
+
+/** Size of DX7II packed supplemental (AMEM) patch data */
+export const AMEM_SIZE = 35;
+
+/** Size of DX7II unpacked supplemental single voice (ACED) data */
+export const ACED_SIZE = 49;
+
+/**
+ * Computes the 7-bit two's complement checksum of a SysEx data block
+ */
+export function sysexChecksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i];
+    }
+    return (-sum) & 0x7f;
+}
+
 /**
  * DX7 envelope parameters (4-stage)
  */
@@ -102,6 +130,8 @@ export class Operator {
         this.fine = 0;
         /** Detune amount (0-14) */
         this.detune = 0;
+        /** Oscillator waveform (0-7, TX81Z only; 0 = sine) */
+        this.waveform = 0;
     }
 }
 
@@ -127,17 +157,226 @@ export class ModulationParameters {
     }
 }
 
+/**
+ * DX7II / TX802 supplemental voice parameters (AMEM/ACED)
+ */
+export class SupplementalParameters {
+    constructor() {
+        /** Per operator scaling mode, same order as Patch.op: 0 = normal, 1 = fractional */
+        this.scalingMode = new Uint8Array(6);
+        /** Per operator extended amplitude modulation sensitivity (0-7), same order as Patch.op */
+        this.ampModSensitivity = new Uint8Array(6);
+        /** Pitch envelope range: 0 = 8 octaves, 1 = 2 octaves, 2 = 1 octave, 3 = 1/2 octave */
+        this.pitchEnvelopeRange = 0;
+        /** LFO key trigger: 0 = single, 1 = multi */
+        this.lfoKeyTrigger = 0;
+        /** Pitch envelope by velocity switch */
+        this.pitchEnvelopeVelocity = 0;
+        /** Poly mode: 0 = poly, 1 = mono, 2 = unison poly, 3 = unison mono */
+        this.polyMode = 0;
+        /** Pitch bend range (0-12) */
+        this.pitchBendRange = 2;
+        /** Pitch bend step (0-12, 0 = continuous) */
+        this.pitchBendStep = 0;
+        /** Pitch bend mode (0-3) */
+        this.pitchBendMode = 0;
+        /** Random pitch fluctuation (0-7) */
+        this.randomPitch = 0;
+        /** Portamento mode: 0 = retain/fingered, 1 = follow/full time */
+        this.portamentoMode = 0;
+        /** Portamento step (0-12, 0 = continuous) */
+        this.portamentoStep = 0;
+        /** Portamento time (0-99) */
+        this.portamentoTime = 0;
+        /** Controller depths (0-99; pitch bias 0-100, 50 = none) */
+        this.modWheelPitch = 0;
+        this.modWheelAmp = 0;
+        this.modWheelEgBias = 0;
+        this.foot1Pitch = 0;
+        this.foot1Amp = 0;
+        this.foot1EgBias = 0;
+        this.foot1Volume = 0;
+        this.breathPitch = 0;
+        this.breathAmp = 0;
+        this.breathEgBias = 0;
+        this.breathPitchBias = 50;
+        this.aftertouchPitch = 0;
+        this.aftertouchAmp = 0;
+        this.aftertouchEgBias = 0;
+        this.aftertouchPitchBias = 50;
+        /** Pitch envelope rate scaling (0-7) */
+        this.pitchEnvelopeRateScaling = 0;
+        this.foot2Pitch = 0;
+        this.foot2Amp = 0;
+        this.foot2EgBias = 0;
+        this.foot2Volume = 0;
+        this.midiControlPitch = 0;
+        this.midiControlAmp = 0;
+        this.midiControlEgBias = 0;
+        this.midiControlVolume = 0;
+        /** Unison detune (0-7) */
+        this.unisonDetune = 0;
+        /** Foot controller 1 used as continuous slider 1 */
+        this.foot1AsCs1 = 0;
+    }
+}
+
+/** Controller depths stored one per byte, in AMEM bytes 10-33 and ACED bytes 23-46 */
+const SUPPLEMENT_CONTROLLERS = [
+    'modWheelPitch', 'modWheelAmp', 'modWheelEgBias',
+    'foot1Pitch', 'foot1Amp', 'foot1EgBias', 'foot1Volume',
+    'breathPitch', 'breathAmp', 'breathEgBias', 'breathPitchBias',
+    'aftertouchPitch', 'aftertouchAmp', 'aftertouchEgBias', 'aftertouchPitchBias',
+    'pitchEnvelopeRateScaling',
+    'foot2Pitch', 'foot2Amp', 'foot2EgBias', 'foot2Volume',
+    'midiControlPitch', 'midiControlAmp', 'midiControlEgBias', 'midiControlVolume',
+];
+
+/**
+ * Unpacks a supplement controller byte, within the range fromJSON accepts.
+ * Pitch envelope rate scaling is a 3-bit field among the 0-99 depths.
+ */
+function unpackController(key, byte) {
+    if (key === 'pitchEnvelopeRateScaling') {
+        return byte & 0x7;
+    }
+    return Math.min(byte & 0x7f, SUPPLEMENT_RANGES[key]);
+}
+
+/** Maximum values of the operator parameters, all of which start at 0 */
+export const OPERATOR_RANGES = {
+    rateScaling: 7,
+    ampModSensitivity: 3,
+    velocitySensitivity: 7,
+    level: 99,
+    mode: 1,
+    coarse: 31,
+    fine: 99,
+    detune: 14,
+    waveform: 7,
+};
+
+/** Maximum values of the keyboard scaling parameters */
+export const KEYBOARD_SCALING_RANGES = {
+    breakPoint: 99,
+    leftDepth: 99,
+    rightDepth: 99,
+    leftCurve: 3,
+    rightCurve: 3,
+};
+
+/** Maximum values of the LFO/modulation parameters */
+export const MODULATION_RANGES = {
+    rate: 99,
+    delay: 99,
+    pitchModDepth: 99,
+    ampModDepth: 99,
+    resetPhase: 1,
+    waveform: 5,
+    pitchModSensitivity: 7,
+};
+
+/** Maximum values of the DX7II supplemental parameters, without the per operator ones */
+export const SUPPLEMENT_RANGES = {
+    pitchEnvelopeRange: 3,
+    lfoKeyTrigger: 1,
+    pitchEnvelopeVelocity: 1,
+    polyMode: 3,
+    pitchBendRange: 12,
+    pitchBendStep: 12,
+    pitchBendMode: 3,
+    randomPitch: 7,
+    portamentoMode: 1,
+    portamentoStep: 12,
+    portamentoTime: 99,
+    ...Object.fromEntries(SUPPLEMENT_CONTROLLERS.map(key => [key, key.endsWith('PitchBias') ? 100 : 99])),
+    pitchEnvelopeRateScaling: 7,
+    unisonDetune: 7,
+    foot1AsCs1: 1,
+};
+
+/** Parameters whose values are choices rather than amounts */
+export const DISCRETE_PARAMETERS = new Set([
+    'algorithm',
+    'resetPhase',
+    'mode',
+    'coarse',
+    'leftCurve',
+    'rightCurve',
+    'waveform',
+    'enabled',
+    'scalingMode',
+    'lfoKeyTrigger',
+    'pitchEnvelopeVelocity',
+    'pitchEnvelopeRange',
+    'polyMode',
+    'pitchBendMode',
+    'portamentoMode',
+    'foot1AsCs1',
+]);
+
+/**
+ * Reads an integer field from parsed JSON, throwing if it is missing or out of range
+ */
+function jsonInt(obj, key, max, path) {
+    const value = obj[key];
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new Error(`Invalid patch JSON: ${path}${key} must be an integer between 0 and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Reads a fixed length array of integers from parsed JSON
+ */
+function jsonIntArray(obj, key, length, max, path) {
+    const values = obj[key];
+    if (!Array.isArray(values) || values.length !== length) {
+        throw new Error(`Invalid patch JSON: ${path}${key} must be an array of ${length} integers`);
+    }
+    return values.map((value, i) => {
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+            throw new Error(`Invalid patch JSON: ${path}${key}[${i}] must be an integer between 0 and ${max}`);
+        }
+        return value;
+    });
+}
+
+/**
+ * Throws unless a parameter fits its voice data field, so that packing never
+ * writes bytes above 0x7f or bleeds into neighbouring bit fields
+ */
+function checkPackable(value, max, name) {
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new Error(`Cannot pack patch: ${name} must be an integer between 0 and ${max}, got ${value}`);
+    }
+}
+
+/**
+ * Reads a nested object from parsed JSON
+ */
+function jsonObject(obj, key, path) {
+    const value = obj[key];
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Invalid patch JSON: ${path}${key} must be an object`);
+    }
+    return value;
+}
+
 /**
  * Complete DX7 patch
  */
 export class Patch {
-    constructor() {
-        /** Six operators (DX7 has 6 operators) */
-        this.op = Array.from({ length: 6 }, () => new Operator());
+    /**
+     * @param {number} [numOperators=6] - 6 for DX7 patches, 4 for DX21/DX27/DX100/TX81Z patches
+     */
+    constructor(numOperators = 6) {
+        /** Operators in reverse order (DX7 has 6 operators, 4-op synths have 4) */
+        this.op = Array.from({ length: numOperators }, () => new Operator());
         /** Pitch envelope */
         this.pitchEnvelope = new PitchEnvelope();
-        /** Algorithm number (0-31) */
-        this.algorithm = 31;
+        /** Algorithm number (0-31, or 0-7 for 4 operators) */
+        this.algorithm = numOperators === 4 ? 7 : 31;
         /** Feedback amount (0-7) */
         this.feedback = 0;
         /** Reset oscillator phases on note trigger */
@@ -149,7 +388,11 @@ export class Patch {
         /** Patch name (10 characters) */
         this.name = new Array(10).fill(' ');
         /** Active operators bitmask */
-        this.activeOperators = 0x3f; // All 6 operators active
+        this.activeOperators = (1 << numOperators) - 1; // All operators active
+        /** DX7II supplemental parameters, or null for plain DX7 patches */
+        this.supplement = null;
+        /** Raw SysEx bytes this patch was unpacked from, if any */
+        this.sourceData = null;
     }
 
     /**
@@ -164,15 +407,156 @@ export class Patch {
      * Internally this is mapped to a 0-offset reverse ordered sequence
      */
     setOp(idx, operator) {
-        if (idx < 1 || idx > 6) {
-            throw new Error('Invalid operator index. Must be between 1 and 6 inclusive');
+        const n = this.op.length;
+        if (idx < 1 || idx > n) {
+            throw new Error(`Invalid operator index. Must be between 1 and ${n} inclusive`);
         }
 
         // 6 -> 0, 5 -> 1, 4 -> 2, 3 -> 3, 2 -> 4, 1 -> 5
-        const actualIdx = 6 - idx;
+        const actualIdx = n - idx;
         this.op[actualIdx] = operator;
     }
 
+    /**
+     * Converts the patch to a plain object following patch.schema.json.
+     * Operators are listed as OP1 first, numbered from 1 like setOp.
+     */
+    toJSON() {
+        const n = this.op.length;
+        const operators = [];
+        for (let number = 1; number <= n; number++) {
+            const idx = n - number;
+            const o = this.op[idx];
+            operators.push({
+                number,
+                enabled: ((this.activeOperators >> idx) & 1) === 1,
+                envelope: {
+                    rate: Array.from(o.envelope.rate),
+                    level: Array.from(o.envelope.level),
+                },
+                keyboardScaling: { ...o.keyboardScaling },
+                ...Object.fromEntries(Object.keys(OPERATOR_RANGES).map(key => [key, o[key]])),
+            });
+        }
+
+        const json = {
+            name: this.name.join(''),
+            algorithm: this.algorithm,
+            feedback: this.feedback,
+            resetPhase: this.resetPhase,
+            transpose: this.transpose,
+            pitchEnvelope: {
+                rate: Array.from(this.pitchEnvelope.rate),
+                level: Array.from(this.pitchEnvelope.level),
+            },
+            modulations: { ...this.modulations },
+            operators,
+        };
+
+        if (this.supplement !== null) {
+            const s = this.supplement;
+            json.supplement = {
+                // Indexed by operator number - 1, like the operators list
+                scalingMode: Array.from(s.scalingMode).slice(0, n).reverse(),
+                ampModSensitivity: Array.from(s.ampModSensitivity).slice(0, n).reverse(),
+                ...Object.fromEntries(Object.keys(SUPPLEMENT_RANGES).map(key => [key, s[key]])),
+            };
+        }
+
+        return json;
+    }
+
+    /**
+     * Creates a new patch from a plain object (or JSON string) produced by
+     * toJSON, validating every parameter range
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        if (json === null || typeof json !== 'object') {
+            throw new Error('Invalid patch JSON: expected an object');
+        }
+
+        const operators = json.operators;
+        if (!Array.isArray(operators) || (operators.length !== 6 && operators.length !== 4)) {
+            throw new Error('Invalid patch JSON: operators must be an array of 6 or 4 operators');
+        }
+
+        const n = operators.length;
+        const patch = new Patch(n);
+
+        if (typeof json.name !== 'string' || json.name.length > 10) {
+            throw new Error('Invalid patch JSON: name must be a string of at most 10 characters');
+        }
+        patch.name = json.name.padEnd(10, ' ').split('');
+
+        patch.algorithm = jsonInt(json, 'algorithm', n === 4 ? 7 : 31, '');
+        patch.feedback = jsonInt(json, 'feedback', 7, '');
+        patch.resetPhase = jsonInt(json, 'resetPhase', 1, '');
+        patch.transpose = jsonInt(json, 'transpose', 48, '');
+
+        const pitchEnvelope = jsonObject(json, 'pitchEnvelope', '');
+        patch.pitchEnvelope.rate.set(jsonIntArray(pitchEnvelope, 'rate', 4, 99, 'pitchEnvelope.'));
+        patch.pitchEnvelope.level.set(jsonIntArray(pitchEnvelope, 'level', 4, 99, 'pitchEnvelope.'));
+
+        const modulations = jsonObject(json, 'modulations', '');
+        for (const [key, max] of Object.entries(MODULATION_RANGES)) {
+            patch.modulations[key] = jsonInt(modulations, key, max, 'modulations.');
+        }
+
+        patch.activeOperators = 0;
+        const seen = new Set();
+        operators.forEach((src, i) => {
+            const path = `operators[${i}].`;
+            if (src === null || typeof src !== 'object') {
+                throw new Error(`Invalid patch JSON: operators[${i}] must be an object`);
+            }
+
+            const number = jsonInt(src, 'number', n, path);
+            if (number === 0 || seen.has(number)) {
+                throw new Error(`Invalid patch JSON: ${path}number must be a unique operator number between 1 and ${n}`);
+            }
+            seen.add(number);
+
+            const o = new Operator();
+            const envelope = jsonObject(src, 'envelope', path);
+            o.envelope.rate.set(jsonIntArray(envelope, 'rate', 4, 99, `${path}envelope.`));
+            o.envelope.level.set(jsonIntArray(envelope, 'level', 4, 99, `${path}envelope.`));
+
+            const keyboardScaling = jsonObject(src, 'keyboardScaling', path);
+            for (const [key, max] of Object.entries(KEYBOARD_SCALING_RANGES)) {
+                o.keyboardScaling[key] = jsonInt(keyboardScaling, key, max, `${path}keyboardScaling.`);
+            }
+
+            for (const [key, max] of Object.entries(OPERATOR_RANGES)) {
+                o[key] = jsonInt(src, key, max, path);
+            }
+
+            if (typeof src.enabled !== 'boolean') {
+                throw new Error(`Invalid patch JSON: ${path}enabled must be a boolean`);
+            }
+            if (src.enabled) {
+                patch.activeOperators |= 1 << (n - number);
+            }
+
+            patch.setOp(number, o);
+        });
+
+        if (json.supplement !== undefined && json.supplement !== null) {
+            const src = jsonObject(json, 'supplement', '');
+            const s = new SupplementalParameters();
+            s.scalingMode.set(jsonIntArray(src, 'scalingMode', n, 1, 'supplement.').reverse());
+            s.ampModSensitivity.set(jsonIntArray(src, 'ampModSensitivity', n, 7, 'supplement.').reverse());
+            for (const [key, max] of Object.entries(SUPPLEMENT_RANGES)) {
+                s[key] = jsonInt(src, key, max, 'supplement.');
+            }
+            patch.supplement = s;
+        }
+
+        return patch;
+    }
+
     /**
      * Creates a new patch from SYSEX bytes
      */
@@ -182,6 +566,34 @@ export class Patch {
         return patch;
     }
 
+    /**
+     * Creates a new patch from unpacked single voice (VCED) bytes
+     */
+    static fromVoiceBytes(data) {
+        const patch = new Patch();
+        patch.unpackVoice(data);
+        return patch;
+    }
+
+    /**
+     * Creates a new patch from a complete single voice SysEx message
+     */
+    static fromVoiceSysex(data) {
+        if (data.length !== VOICE_SYSEX_SIZE) {
+            throw new Error(`Single voice sysex must be ${VOICE_SYSEX_SIZE} bytes exactly`);
+        }
+
+        // Check header, ignoring the device channel in the low nibble of byte 2
+        for (let i = 0; i < 6; i++) {
+            const byte = i === 2 ? data[i] & 0xf0 : data[i];
+            if (byte !== HEADER_VOICE[i]) {
+                throw new Error('Sysex header is not correct');
+            }
+        }
+
+        return Patch.fromVoiceBytes(data.slice(6, 6 + VCED_SIZE));
+    }
+
     /**
      * Unpacks a DX7 SysEx patch from raw bytes
      */
@@ -247,6 +659,346 @@ export class Patch {
         }
 
         this.activeOperators = 0x3f; // All operators active by default
+        this.sourceData = Uint8Array.from(data);
+    }
+
+    /**
+     * Throws if a parameter is outside the range the DX7 voice data formats
+     * can hold
+     */
+    checkPackable() {
+        if (this.op.length !== 6) {
+            throw new Error('Only 6-operator patches can be written as DX7 voice data');
+        }
+
+        this.op.forEach((o, i) => {
+            const path = `op[${i}].`;
+            for (let j = 0; j < 4; j++) {
+                checkPackable(o.envelope.rate[j], 99, `${path}envelope.rate[${j}]`);
+                checkPackable(o.envelope.level[j], 99, `${path}envelope.level[${j}]`);
+            }
+            for (const [key, max] of Object.entries(KEYBOARD_SCALING_RANGES)) {
+                checkPackable(o.keyboardScaling[key], max, `${path}keyboardScaling.${key}`);
+            }
+            for (const [key, max] of Object.entries(OPERATOR_RANGES)) {
+                checkPackable(o[key], max, `${path}${key}`);
+            }
+        });
+
+        for (let j = 0; j < 4; j++) {
+            checkPackable(this.pitchEnvelope.rate[j], 99, `pitchEnvelope.rate[${j}]`);
+            checkPackable(this.pitchEnvelope.level[j], 99, `pitchEnvelope.level[${j}]`);
+        }
+        checkPackable(this.algorithm, 31, 'algorithm');
+        checkPackable(this.feedback, 7, 'feedback');
+        checkPackable(this.resetPhase, 1, 'resetPhase');
+        for (const [key, max] of Object.entries(MODULATION_RANGES)) {
+            checkPackable(this.modulations[key], max, `modulations.${key}`);
+        }
+        checkPackable(this.transpose, 48, 'transpose');
+        this.name.forEach((c, i) => checkPackable(c.charCodeAt(0), 0x7f, `name[${i}]`));
+    }
+
+    /**
+     * Packs the patch into the 128 byte DX7 SysEx (VMEM) layout
+     */
+    pack() {
+        this.checkPackable();
+
+        const data = new Uint8Array(SYX_SIZE);
+
+        // Pack the 6 operators
+        for (let i = 0; i < 6; i++) {
+            const o = this.op[i];
+            const base = i * 17;
+
+            // Envelope rates and levels
+            for (let j = 0; j < 4; j++) {
+                data[base + j] = o.envelope.rate[j];
+                data[base + 4 + j] = o.envelope.level[j];
+            }
+
+            // Keyboard scaling
+            data[base + 8] = o.keyboardScaling.breakPoint;
+            data[base + 9] = o.keyboardScaling.leftDepth;
+            data[base + 10] = o.keyboardScaling.rightDepth;
+            data[base + 11] = (o.keyboardScaling.rightCurve << 2) | o.keyboardScaling.leftCurve;
+
+            // Other operator parameters
+            data[base + 12] = (o.detune << 3) | o.rateScaling;
+            data[base + 13] = (o.velocitySensitivity << 2) | o.ampModSensitivity;
+            data[base + 14] = o.level;
+            data[base + 15] = (o.coarse << 1) | o.mode;
+            data[base + 16] = o.fine;
+        }
+
+        // Pitch envelope
+        for (let j = 0; j < 4; j++) {
+            data[102 + j] = this.pitchEnvelope.rate[j];
+            data[106 + j] = this.pitchEnvelope.level[j];
+        }
+
+        // Global parameters
+        data[110] = this.algorithm;
+        data[111] = (this.resetPhase << 3) | this.feedback;
+
+        // Modulation parameters
+        data[112] = this.modulations.rate;
+        data[113] = this.modulations.delay;
+        data[114] = this.modulations.pitchModDepth;
+        data[115] = this.modulations.ampModDepth;
+        data[116] = (this.modulations.pitchModSensitivity << 4)
+            | (this.modulations.waveform << 1)
+            | this.modulations.resetPhase;
+
+        data[117] = this.transpose;
+
+        // Patch name
+        for (let i = 0; i < 10; i++) {
+            data[118 + i] = this.name[i].charCodeAt(0) & 0x7f;
+        }
+
+        // Keep the original byte wherever it still decodes to the current
+        // values, so out-of-range and unused bits survive a round trip
+        if (this.sourceData !== null) {
+            const canonical = Patch.fromBytes(this.sourceData);
+            canonical.sourceData = null;
+            const reference = canonical.pack();
+            for (let i = 0; i < SYX_SIZE; i++) {
+                if (reference[i] === data[i]) {
+                    data[i] = this.sourceData[i];
+                }
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Unpacks a DX7 single voice (VCED) patch, where every parameter
+     * occupies its own byte
+     */
+    unpackVoice(data) {
+        if (data.length !== VCED_SIZE) {
+            throw new Error(`Voice data not exactly ${VCED_SIZE} bytes long`);
+        }
+
+        // Unpack the 6 operators
+        for (let i = 0; i < 6; i++) {
+            const o = this.op[i];
+            const opData = data.slice(i * 21);
+
+            // Envelope rates and levels
+            for (let j = 0; j < 4; j++) {
+                o.envelope.rate[j] = Math.min(opData[j] & 0x7f, 99);
+                o.envelope.level[j] = Math.min(opData[4 + j] & 0x7f, 99);
+            }
+
+            // Keyboard scaling
+            o.keyboardScaling.breakPoint = Math.min(opData[8] & 0x7f, 99);
+            o.keyboardScaling.leftDepth = Math.min(opData[9] & 0x7f, 99);
+            o.keyboardScaling.rightDepth = Math.min(opData[10] & 0x7f, 99);
+            o.keyboardScaling.leftCurve = opData[11] & 0x3;
+            o.keyboardScaling.rightCurve = opData[12] & 0x3;
+
+            // Other operator parameters
+            o.rateScaling = opData[13] & 0x7;
+            o.ampModSensitivity = opData[14] & 0x3;
+            o.velocitySensitivity = opData[15] & 0x7;
+            o.level = Math.min(opData[16] & 0x7f, 99);
+            o.mode = opData[17] & 0x1;
+            o.coarse = opData[18] & 0x1f;
+            o.fine = Math.min(opData[19] & 0x7f, 99);
+            o.detune = Math.min(opData[20] & 0xf, 14);
+        }
+
+        // Pitch envelope
+        for (let j = 0; j < 4; j++) {
+            this.pitchEnvelope.rate[j] = Math.min(data[126 + j] & 0x7f, 99);
+            this.pitchEnvelope.level[j] = Math.min(data[130 + j] & 0x7f, 99);
+        }
+
+        // Global parameters
+        this.algorithm = data[134] & 0x1f;
+        this.feedback = data[135] & 0x7;
+        this.resetPhase = data[136] & 0x1;
+
+        // Modulation parameters
+        this.modulations.rate = Math.min(data[137] & 0x7f, 99);
+        this.modulations.delay = Math.min(data[138] & 0x7f, 99);
+        this.modulations.pitchModDepth = Math.min(data[139] & 0x7f, 99);
+        this.modulations.ampModDepth = Math.min(data[140] & 0x7f, 99);
+        this.modulations.resetPhase = data[141] & 0x1;
+        this.modulations.waveform = Math.min(data[142] & 0x7, 5);
+        this.modulations.pitchModSensitivity = data[143] & 0x7;
+
+        this.transpose = Math.min(data[144] & 0x7f, 48);
+
+        // Patch name
+        for (let i = 0; i < 10; i++) {
+            this.name[i] = String.fromCharCode(data[145 + i] & 0x7f);
+        }
+
+        this.activeOperators = 0x3f; // All operators active by default
+        this.sourceData = null;
+    }
+
+    /**
+     * Packs the patch into the 155 byte DX7 single voice (VCED) layout
+     */
+    packVoice() {
+        this.checkPackable();
+
+        const data = new Uint8Array(VCED_SIZE);
+
+        // Pack the 6 operators
+        for (let i = 0; i < 6; i++) {
+            const o = this.op[i];
+            const base = i * 21;
+
+            // Envelope rates and levels
+            for (let j = 0; j < 4; j++) {
+                data[base + j] = o.envelope.rate[j];
+                data[base + 4 + j] = o.envelope.level[j];
+            }
+
+            // Keyboard scaling
+            data[base + 8] = o.keyboardScaling.breakPoint;
+            data[base + 9] = o.keyboardScaling.leftDepth;
+            data[base + 10] = o.keyboardScaling.rightDepth;
+            data[base + 11] = o.keyboardScaling.leftCurve;
+            data[base + 12] = o.keyboardScaling.rightCurve;
+
+            // Other operator parameters
+            data[base + 13] = o.rateScaling;
+            data[base + 14] = o.ampModSensitivity;
+            data[base + 15] = o.velocitySensitivity;
+            data[base + 16] = o.level;
+            data[base + 17] = o.mode;
+            data[base + 18] = o.coarse;
+            data[base + 19] = o.fine;
+            data[base + 20] = o.detune;
+        }
+
+        // Pitch envelope
+        for (let j = 0; j < 4; j++) {
+            data[126 + j] = this.pitchEnvelope.rate[j];
+            data[130 + j] = this.pitchEnvelope.level[j];
+        }
+
+        // Global parameters
+        data[134] = this.algorithm;
+        data[135] = this.feedback;
+        data[136] = this.resetPhase;
+
+        // Modulation parameters
+        data[137] = this.modulations.rate;
+        data[138] = this.modulations.delay;
+        data[139] = this.modulations.pitchModDepth;
+        data[140] = this.modulations.ampModDepth;
+        data[141] = this.modulations.resetPhase;
+        data[142] = this.modulations.waveform;
+        data[143] = this.modulations.pitchModSensitivity;
+
+        data[144] = this.transpose;
+
+        // Patch name
+        for (let i = 0; i < 10; i++) {
+            data[145 + i] = this.name[i].charCodeAt(0) & 0x7f;
+        }
+
+        return data;
+    }
+
+    /**
+     * Unpacks DX7II supplemental parameters from packed (AMEM) bytes
+     */
+    unpackSupplement(data) {
+        if (data.length !== AMEM_SIZE) {
+            throw new Error(`Supplement data not exactly ${AMEM_SIZE} bytes long`);
+        }
+
+        const s = new SupplementalParameters();
+
+        for (let i = 0; i < 6; i++) {
+            s.scalingMode[i] = (data[0] >> i) & 0x1;
+            s.ampModSensitivity[i] = (data[1 + (i >> 1)] >> ((i & 1) * 3)) & 0x7;
+        }
+
+        s.pitchEnvelopeRange = data[4] & 0x3;
+        s.lfoKeyTrigger = (data[4] >> 2) & 0x1;
+        s.pitchEnvelopeVelocity = (data[4] >> 3) & 0x1;
+        s.polyMode = (data[4] >> 4) & 0x3;
+        s.pitchBendRange = Math.min(data[5] & 0x7f, 12);
+        s.pitchBendStep = Math.min(data[6] & 0x7f, 12);
+        s.pitchBendMode = data[7] & 0x3;
+        s.randomPitch = (data[7] >> 2) & 0x7;
+        s.portamentoMode = data[8] & 0x1;
+        s.portamentoStep = Math.min((data[8] >> 1) & 0xf, 12);
+        s.portamentoTime = Math.min(data[9] & 0x7f, 99);
+
+        SUPPLEMENT_CONTROLLERS.forEach((key, j) => {
+            s[key] = unpackController(key, data[10 + j]);
+        });
+
+        s.unisonDetune = data[34] & 0x7;
+        s.foot1AsCs1 = (data[34] >> 3) & 0x1;
+
+        this.supplement = s;
+    }
+
+    /**
+     * Unpacks DX7II supplemental parameters from single voice (ACED) bytes
+     */
+    unpackSupplementVoice(data) {
+        if (data.length !== ACED_SIZE) {
+            throw new Error(`Supplement voice data not exactly ${ACED_SIZE} bytes long`);
+        }
+
+        const s = new SupplementalParameters();
+
+        for (let i = 0; i < 6; i++) {
+            s.scalingMode[i] = data[i] & 0x1;
+            s.ampModSensitivity[i] = data[6 + i] & 0x7;
+        }
+
+        s.pitchEnvelopeRange = data[12] & 0x3;
+        s.lfoKeyTrigger = data[13] & 0x1;
+        s.pitchEnvelopeVelocity = data[14] & 0x1;
+        s.polyMode = data[15] & 0x3;
+        s.pitchBendRange = Math.min(data[16] & 0x7f, 12);
+        s.pitchBendStep = Math.min(data[17] & 0x7f, 12);
+        s.pitchBendMode = data[18] & 0x3;
+        s.randomPitch = data[19] & 0x7;
+        s.portamentoMode = data[20] & 0x1;
+        s.portamentoStep = Math.min(data[21] & 0x7f, 12);
+        s.portamentoTime = Math.min(data[22] & 0x7f, 99);
+
+        SUPPLEMENT_CONTROLLERS.forEach((key, j) => {
+            s[key] = unpackController(key, data[23 + j]);
+        });
+
+        s.unisonDetune = data[47] & 0x7;
+        s.foot1AsCs1 = data[48] & 0x1;
+
+        this.supplement = s;
+    }
+
+    /**
+     * Serializes the patch to a single voice SysEx message
+     * @param {number} [channel=0] - MIDI device channel (0-15)
+     */
+    toVoiceSysex(channel = 0) {
+        const data = new Uint8Array(VOICE_SYSEX_SIZE);
+        data.set(HEADER_VOICE, 0);
+        data[2] = channel & 0xf;
+
+        const payload = this.packVoice();
+        data.set(payload, HEADER_VOICE.length);
+        data[VOICE_SYSEX_SIZE - 2] = sysexChecksum(payload);
+        data[VOICE_SYSEX_SIZE - 1] = 0xF7;
+
+        return data;
     }
 }
 
@@ -255,9 +1007,23 @@ export class Patch {
  */
 export class PatchBank {
     /**
-     * Parse a bank of 32 patches from a single SYSEX file's data
+     * Parse a bank of 32 patches from a single SYSEX file's data, or create
+     * a bank of 32 initialized patches if no data is given
+     *
+     * Only a bare 32-voice bulk dump is accepted. Use PatchBank.fromFile for
+     * Standard MIDI Files (.mid) holding the dump, and loadSysex for other dumps.
      */
-    constructor(data) {
+    constructor(data = null) {
+        /** The array of 32 patches */
+        this.patches = [];
+
+        if (data === null) {
+            for (let idx = 0; idx < BANK_PATCHES; idx++) {
+                this.patches.push(new Patch());
+            }
+            return;
+        }
+
         if (data.length !== BULK_FULL_SYSEX_SIZE) {
             throw new Error(
                 `Currently only support parsing banks with exactly 32 patches, which must be ${BULK_FULL_SYSEX_SIZE} bytes exactly`
@@ -271,9 +1037,6 @@ export class PatchBank {
             }
         }
 
-        /** The array of 32 patches */
-        this.patches = [];
-
         const patchData = data.slice(6);
 
         for (let idx = 0; idx < BANK_PATCHES; idx++) {
@@ -283,4 +1046,81 @@ export class PatchBank {
             this.patches.push(patch);
         }
     }
+
+    /**
+     * Parse a bank of 32 patches from a .syx file, or from a Standard MIDI
+     * File (.mid) holding a 32-voice bulk dump among its SysEx messages
+     */
+    static fromFile(data) {
+        if (isMidiFile(data)) {
+            const dump = extractSysexFromMidiFile(data).find(message => message.length === BULK_FULL_SYSEX_SIZE
+                && HEADER_BANK.every((byte, i) => message[i] === byte));
+            if (!dump) {
+                throw new Error('MIDI file does not hold a 32 voice bulk dump');
+            }
+            data = dump;
+        }
+        return new PatchBank(data);
+    }
+
+    /**
+     * Creates a bank from up to 32 patches, padding the rest with
+     * initialized patches
+     */
+    static fromPatches(patches) {
+        if (patches.length > BANK_PATCHES) {
+            throw new Error(`A bank holds at most ${BANK_PATCHES} patches, got ${patches.length}`);
+        }
+
+        const bank = new PatchBank();
+        patches.forEach((patch, idx) => {
+            bank.patches[idx] = patch;
+        });
+        return bank;
+    }
+
+    /**
+     * Converts the bank to a plain object following patch.schema.json
+     */
+    toJSON() {
+        return { patches: this.patches.map(patch => patch.toJSON()) };
+    }
+
+    /**
+     * Creates a bank from a plain object (or JSON string) produced by toJSON
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        if (json === null || typeof json !== 'object' || !Array.isArray(json.patches)) {
+            throw new Error('Invalid bank JSON: patches must be an array');
+        }
+
+        return PatchBank.fromPatches(json.patches.map((patch, idx) => {
+            try {
+                return Patch.fromJSON(patch);
+            } catch (error) {
+                throw new Error(`Patch ${idx}: ${error.message}`);
+            }
+        }));
+    }
+
+    /**
+     * Serializes the bank to a 32 voice bulk dump SysEx message
+     */
+    toSysex() {
+        const data = new Uint8Array(BULK_FULL_SYSEX_SIZE);
+        data.set(HEADER_BANK, 0);
+
+        for (let idx = 0; idx < BANK_PATCHES; idx++) {
+            data.set(this.patches[idx].pack(), HEADER_BANK.length + idx * SYX_SIZE);
+        }
+
+        const payload = data.subarray(HEADER_BANK.length, HEADER_BANK.length + BANK_PATCHES * SYX_SIZE);
+        data[BULK_FULL_SYSEX_SIZE - 2] = sysexChecksum(payload);
+        data[BULK_FULL_SYSEX_SIZE - 1] = 0xF7;
+
+        return data;
+    }
 }
@@ -0,0 +1,271 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * 4-operator (DX21/DX27/DX100/TX81Z) patch data
+ *
+ * 4-op voices are converted to a Patch with four operators, so they render
+ * through the same Voice as DX7 patches. Parameters without a DX7 counterpart
+ * (EG bias, EG shift, reverb rate, controllers) are dropped, and envelopes,
+ * level scaling and TX81Z fine ratios are approximated.
+ */
+
+import { Patch } from './patch.js';
+import { Waveform } from './lfo.js';
+
+/** Size of 4-op packed (VMEM) patch data */
+export const FOUR_OP_SYX_SIZE = 128;
+
+/** Size of 4-op unpacked single voice (VCED) data */
+export const FOUR_OP_VCED_SIZE = 93;
+
+/** Size of TX81Z additional voice (ACED) data, without its "LM  8976AE" tag */
+export const FOUR_OP_ACED_SIZE = 23;
+
+/** Order in which operators are stored in 4-op SysEx: OP4, OP2, OP3, OP1 */
+const SYSEX_OPERATOR_ORDER = [0, 2, 1, 3];
+
+/** Frequency ratios for the 64 coarse settings */
+const LUT_FOUR_OP_RATIO = [
+    0.50, 0.71, 0.78, 0.87, 1.00, 1.41, 1.57, 1.73,
+    2.00, 2.82, 3.00, 3.14, 3.46, 4.00, 4.24, 4.71,
+    5.00, 5.19, 5.65, 6.00, 6.28, 6.92, 7.00, 7.07,
+    7.85, 8.00, 8.48, 8.65, 9.00, 9.42, 9.89, 10.00,
+    10.38, 10.99, 11.00, 11.30, 12.00, 12.11, 12.56, 12.72,
+    13.00, 13.84, 14.00, 14.10, 14.13, 15.00, 15.55, 15.57,
+    15.70, 16.96, 17.27, 17.30, 18.37, 18.84, 19.03, 19.78,
+    20.41, 20.76, 21.20, 21.98, 22.49, 23.55, 24.22, 25.95,
+];
+
+/** 4-op LFO waveforms (saw up, square, triangle, S&H) */
+const LFO_WAVEFORMS = [Waveform.RampUp, Waveform.Square, Waveform.Triangle, Waveform.SAndH];
+
+/**
+ * Creates a patch from 4-op packed (VMEM) bytes, including the TX81Z
+ * additional data stored in bytes 73-83
+ */
+export function fourOpPatchFromBytes(data) {
+    if (data.length !== FOUR_OP_SYX_SIZE) {
+        throw new Error(`4-op patch data not exactly ${FOUR_OP_SYX_SIZE} bytes long`);
+    }
+
+    const ops = [];
+    for (let i = 0; i < 4; i++) {
+        const opData = data.slice(i * 10);
+        const aced0 = data[73 + i * 2];
+        const aced1 = data[74 + i * 2];
+        ops.push({
+            attackRate: opData[0] & 0x1f,
+            decay1Rate: opData[1] & 0x1f,
+            decay2Rate: opData[2] & 0x1f,
+            releaseRate: opData[3] & 0xf,
+            decay1Level: opData[4] & 0xf,
+            levelScaling: Math.min(opData[5] & 0x7f, 99),
+            ampModEnable: (opData[6] >> 6) & 0x1,
+            velocitySensitivity: opData[6] & 0x7,
+            level: Math.min(opData[7] & 0x7f, 99),
+            coarse: opData[8] & 0x3f,
+            rateScaling: (opData[9] >> 3) & 0x3,
+            detune: Math.min(opData[9] & 0x7, 6),
+            fixed: (aced0 >> 3) & 0x1,
+            fixedRange: aced0 & 0x7,
+            fine: aced1 & 0xf,
+            waveform: (aced1 >> 4) & 0x7,
+        });
+    }
+
+    return toPatch({
+        ops,
+        algorithm: data[40] & 0x7,
+        feedback: (data[40] >> 3) & 0x7,
+        lfoSync: (data[40] >> 6) & 0x1,
+        lfoRate: Math.min(data[41] & 0x7f, 99),
+        lfoDelay: Math.min(data[42] & 0x7f, 99),
+        pitchModDepth: Math.min(data[43] & 0x7f, 99),
+        ampModDepth: Math.min(data[44] & 0x7f, 99),
+        pitchModSensitivity: (data[45] >> 4) & 0x7,
+        ampModSensitivity: (data[45] >> 2) & 0x3,
+        lfoWaveform: data[45] & 0x3,
+        transpose: Math.min(data[46] & 0x7f, 48),
+        name: data.slice(57, 67),
+        pitchEnvelopeRate: data.slice(67, 70),
+        pitchEnvelopeLevel: data.slice(70, 73),
+    });
+}
+
+/**
+ * Creates a patch from 4-op single voice (VCED) bytes, optionally combined
+ * with the TX81Z additional voice (ACED) data that precedes it
+ */
+export function fourOpPatchFromVoiceBytes(data, aced = null) {
+    if (data.length !== FOUR_OP_VCED_SIZE) {
+        throw new Error(`4-op voice data not exactly ${FOUR_OP_VCED_SIZE} bytes long`);
+    }
+    if (aced !== null && aced.length !== FOUR_OP_ACED_SIZE) {
+        throw new Error(`4-op additional voice data not exactly ${FOUR_OP_ACED_SIZE} bytes long`);
+    }
+
+    const ops = [];
+    for (let i = 0; i < 4; i++) {
+        const opData = data.slice(i * 13);
+        const acedData = aced !== null ? aced.slice(i * 5) : new Uint8Array(5);
+        ops.push({
+            attackRate: opData[0] & 0x1f,
+            decay1Rate: opData[1] & 0x1f,
+            decay2Rate: opData[2] & 0x1f,
+            releaseRate: opData[3] & 0xf,
+            decay1Level: opData[4] & 0xf,
+            levelScaling: Math.min(opData[5] & 0x7f, 99),
+            rateScaling: opData[6] & 0x3,
+            ampModEnable: opData[8] & 0x1,
+            velocitySensitivity: opData[9] & 0x7,
+            level: Math.min(opData[10] & 0x7f, 99),
+            coarse: opData[11] & 0x3f,
+            detune: Math.min(opData[12] & 0x7, 6),
+            fixed: acedData[0] & 0x1,
+            fixedRange: acedData[1] & 0x7,
+            fine: acedData[2] & 0xf,
+            waveform: acedData[3] & 0x7,
+        });
+    }
+
+    return toPatch({
+        ops,
+        algorithm: data[52] & 0x7,
+        feedback: data[53] & 0x7,
+        lfoRate: Math.min(data[54] & 0x7f, 99),
+        lfoDelay: Math.min(data[55] & 0x7f, 99),
+        pitchModDepth: Math.min(data[56] & 0x7f, 99),
+        ampModDepth: Math.min(data[57] & 0x7f, 99),
+        lfoSync: data[58] & 0x1,
+        lfoWaveform: data[59] & 0x3,
+        pitchModSensitivity: data[60] & 0x7,
+        ampModSensitivity: data[61] & 0x3,
+        transpose: Math.min(data[62] & 0x7f, 48),
+        name: data.slice(77, 87),
+        pitchEnvelopeRate: data.slice(87, 90),
+        pitchEnvelopeLevel: data.slice(90, 93),
+    });
+}
+
+/**
+ * Converts decoded 4-op parameters (operators in SysEx order) to a Patch
+ */
+function toPatch(params) {
+    const patch = new Patch(4);
+
+    params.ops.forEach((src, sysexIdx) => {
+        const o = patch.op[SYSEX_OPERATOR_ORDER[sysexIdx]];
+
+        // AR, D1R, D1L, D2R, RR mapped onto the 4 rate/level stages. A zero
+        // second decay rate holds the first decay level while the key is down.
+        const decay1Level = src.decay1Level === 0 ? 0 : 99 - (15 - src.decay1Level) * 4;
+        o.envelope.rate[0] = rate31To99(src.attackRate);
+        o.envelope.rate[1] = rate31To99(src.decay1Rate);
+        o.envelope.rate[2] = src.decay2Rate === 0 ? 99 : rate31To99(src.decay2Rate);
+        o.envelope.rate[3] = rate31To99(src.releaseRate * 2 + 1);
+        o.envelope.level[0] = 99;
+        o.envelope.level[1] = decay1Level;
+        o.envelope.level[2] = src.decay2Rate === 0 ? decay1Level : 0;
+        o.envelope.level[3] = 0;
+
+        // Level scaling only attenuates towards the top of the keyboard
+        o.keyboardScaling.breakPoint = 0;
+        o.keyboardScaling.rightDepth = src.levelScaling;
+        o.keyboardScaling.rightCurve = 0;
+
+        o.rateScaling = src.rateScaling * 2;
+        o.ampModSensitivity = src.ampModEnable ? params.ampModSensitivity : 0;
+        o.velocitySensitivity = src.velocitySensitivity;
+        o.level = src.level;
+        o.detune = 7 + (src.detune - 3) * 2;
+        o.waveform = src.waveform;
+
+        if (src.fixed) {
+            setFixedFrequency(o, src);
+        } else {
+            setRatio(o, LUT_FOUR_OP_RATIO[src.coarse] * (1.0 + src.fine / 16.0));
+        }
+    });
+
+    // DX21 pitch envelope: PL3 is both the start and the release level.
+    // Synths without a pitch envelope leave these bytes at zero.
+    const peRate = params.pitchEnvelopeRate;
+    const peLevel = params.pitchEnvelopeLevel;
+    if (peLevel[0] !== 0 || peLevel[1] !== 0 || peLevel[2] !== 0) {
+        const rate = [peRate[0], peRate[1], 99, peRate[2]];
+        const level = [peLevel[0], peLevel[1], peLevel[1], peLevel[2]];
+        for (let j = 0; j < 4; j++) {
+            patch.pitchEnvelope.rate[j] = Math.min(rate[j] & 0x7f, 99);
+            patch.pitchEnvelope.level[j] = Math.min(level[j] & 0x7f, 99);
+        }
+    }
+
+    patch.algorithm = params.algorithm;
+    patch.feedback = params.feedback;
+
+    patch.modulations.rate = params.lfoRate;
+    patch.modulations.delay = params.lfoDelay;
+    patch.modulations.pitchModDepth = params.pitchModDepth;
+    patch.modulations.ampModDepth = params.ampModDepth;
+    patch.modulations.resetPhase = params.lfoSync;
+    patch.modulations.waveform = LFO_WAVEFORMS[params.lfoWaveform];
+    patch.modulations.pitchModSensitivity = params.pitchModSensitivity;
+
+    patch.transpose = params.transpose;
+
+    for (let i = 0; i < 10; i++) {
+        patch.name[i] = String.fromCharCode(params.name[i] & 0x7f);
+    }
+
+    return patch;
+}
+
+/**
+ * Converts a 0-31 envelope rate to the 0-99 DX7 range
+ */
+function rate31To99(rate) {
+    return Math.min(Math.round(rate * 99 / 31), 99);
+}
+
+/**
+ * Expresses a frequency ratio with DX7 coarse (0.5, 1-31) and fine (1% steps)
+ */
+function setRatio(o, ratio) {
+    o.mode = 0;
+    o.coarse = Math.min(Math.floor(ratio), 31);
+    const coarseRatio = o.coarse === 0 ? 0.5 : o.coarse;
+    o.fine = Math.max(0, Math.min(Math.round((ratio / coarseRatio - 1.0) * 100), 99));
+}
+
+/**
+ * Expresses a TX81Z fixed frequency (8Hz-32kHz) with the DX7 fixed frequency
+ * coarse (decade) and fine (1/100 decade) settings, which top out near 9.8kHz
+ */
+function setFixedFrequency(o, src) {
+    const step = src.coarse >> 2;
+    const hz = (step === 0 ? 8 + (src.fine >> 1) : 16 * step + src.fine) * (1 << src.fixedRange);
+    const decades = Math.log10(hz);
+    o.mode = 1;
+    o.coarse = Math.min(Math.floor(decades), 3);
+    o.fine = Math.max(0, Math.min(Math.round((decades - o.coarse) * 100), 99));
+}
@@ -0,0 +1,261 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Random patch generation and mutation
+ *
+ * Every function takes a seed, and the same seed and options always give the
+ * same patches. Constraint options shared by all functions:
+ *
+ * - keepAlgorithm: never change the algorithm
+ * - keepCarrierLevels: carriers keep the output level of the source patch
+ * - envelopesOnly: only change the operator and pitch envelopes
+ * - ratioOnly: every operator ends up in ratio (not fixed frequency) mode,
+ *   unless envelopesOnly leaves the modes untouched
+ */
+
+import { Random } from '../stmlib/random.js';
+import { Algorithms } from './algorithms.js';
+import {
+    BANK_PATCHES,
+    DISCRETE_PARAMETERS,
+    KEYBOARD_SCALING_RANGES,
+    MODULATION_RANGES,
+    OPERATOR_RANGES,
+    Patch,
+    PatchBank,
+} from './patch.js';
+
+/** Algorithm tables used to find carriers, by number of operators */
+const algorithms = {};
+
+function isCarrier(patch, idx) {
+    const n = patch.op.length;
+    if (!algorithms[n]) {
+        algorithms[n] = new Algorithms(n);
+    }
+    return !algorithms[n].isModulator(patch.algorithm, idx);
+}
+
+/**
+ * Creates a generator for a seed, spreading nearby seeds apart since
+ * consecutive LCG states give correlated sequences
+ */
+function seededRandom(seed) {
+    let h = seed >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return new Random((h ^ (h >>> 16)) >>> 0);
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296.0);
+}
+
+function randomInt(rng, max) {
+    return Math.floor(rng.getFloat() * (max + 1));
+}
+
+/**
+ * Mutates a patch in place
+ *
+ * Continuous parameters move towards a random target by `amount` of the
+ * distance, discrete parameters are re-rolled with a probability of `amount`.
+ * The transpose, name, operator on/off switches and supplement are kept.
+ */
+function mutate(patch, source, rng, amount, { keepAlgorithm, keepCarrierLevels, envelopesOnly, ratioOnly }) {
+    const n = patch.op.length;
+    const step = (value, max, discrete) => {
+        if (discrete) {
+            return rng.getFloat() < amount ? randomInt(rng, max) : value;
+        }
+        const target = rng.getFloat() * max;
+        return Math.round(value + (target - value) * amount);
+    };
+    const stepEnvelope = (envelope) => {
+        for (let j = 0; j < 4; j++) {
+            envelope.rate[j] = step(envelope.rate[j], 99, false);
+            envelope.level[j] = step(envelope.level[j], 99, false);
+        }
+    };
+
+    if (!envelopesOnly) {
+        if (!keepAlgorithm) {
+            patch.algorithm = step(patch.algorithm, n === 4 ? 7 : 31, true);
+        }
+        patch.feedback = step(patch.feedback, 7, false);
+        for (const [key, max] of Object.entries(MODULATION_RANGES)) {
+            patch.modulations[key] = step(patch.modulations[key], max, DISCRETE_PARAMETERS.has(key));
+        }
+    }
+
+    stepEnvelope(patch.pitchEnvelope);
+
+    for (const o of patch.op) {
+        stepEnvelope(o.envelope);
+        if (envelopesOnly) {
+            continue;
+        }
+
+        for (const [key, max] of Object.entries(KEYBOARD_SCALING_RANGES)) {
+            o.keyboardScaling[key] = step(o.keyboardScaling[key], max, DISCRETE_PARAMETERS.has(key));
+        }
+        for (const [key, max] of Object.entries(OPERATOR_RANGES)) {
+            // Only TX81Z operators have waveforms
+            if (key === 'waveform' && n !== 4) {
+                continue;
+            }
+            o[key] = step(o[key], max, DISCRETE_PARAMETERS.has(key));
+        }
+    }
+
+    if (ratioOnly && !envelopesOnly) {
+        for (const o of patch.op) {
+            o.mode = 0;
+        }
+    }
+
+    if (keepCarrierLevels) {
+        patch.op.forEach((o, idx) => {
+            if (isCarrier(patch, idx)) {
+                o.level = source.op[idx].level;
+            }
+        });
+    }
+}
+
+function checkAmount(amount) {
+    if (!(amount >= 0.0 && amount <= 1.0)) {
+        throw new Error(`Mutation amount must be between 0 and 1, got ${amount}`);
+    }
+}
+
+function checkAlgorithm(algorithm, numOperators) {
+    const max = numOperators === 4 ? 7 : 31;
+    if (!Number.isInteger(algorithm) || algorithm < 0 || algorithm > max) {
+        throw new Error(`Algorithm must be an integer between 0 and ${max}, got ${algorithm}`);
+    }
+}
+
+/**
+ * Creates a random patch
+ *
+ * Parameters are drawn over their whole range, except that the pitch
+ * envelope is flat, the transpose is C3 and carriers are loud enough to be
+ * heard and fall silent on key off.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed, random if omitted
+ * @param {number} [options.numOperators=6] - 6 for a DX7 patch, 4 for a DX21/DX100/TX81Z patch
+ * @param {number} [options.algorithm] - Algorithm to use (0-31, or 0-7 for 4 operators), random if omitted
+ * @param {boolean} [options.ratioOnly=false]
+ * @returns {Patch}
+ */
+export function randomPatch({ seed = randomSeed(), numOperators = 6, algorithm = null, ratioOnly = false } = {}) {
+    const rng = seededRandom(seed);
+    const patch = new Patch(numOperators);
+    patch.name = 'RANDOM'.padEnd(10, ' ').split('');
+    patch.transpose = 24;
+    if (algorithm !== null) {
+        checkAlgorithm(algorithm, numOperators);
+        patch.algorithm = algorithm;
+    }
+
+    mutate(patch, patch, rng, 1.0, {
+        keepAlgorithm: algorithm !== null,
+        keepCarrierLevels: false,
+        envelopesOnly: false,
+        ratioOnly,
+    });
+
+    patch.pitchEnvelope.level.fill(50);
+    patch.op.forEach((o, idx) => {
+        if (isCarrier(patch, idx)) {
+            o.level = 75 + randomInt(rng, 24);
+            o.envelope.level[0] = 50 + randomInt(rng, 49);
+            o.envelope.rate[3] = 40 + randomInt(rng, 59);
+            o.envelope.level[3] = 0;
+        }
+    });
+
+    return patch;
+}
+
+/**
+ * Creates a mutated copy of a patch
+ *
+ * @param {Patch} patch - Source patch, left untouched
+ * @param {Object} [options]
+ * @param {number} [options.amount=0.2] - Mutation intensity, from 0 (no change) to 1 (fully random)
+ * @param {number} [options.seed] - Seed, random if omitted
+ * @param {boolean} [options.keepAlgorithm=false]
+ * @param {boolean} [options.keepCarrierLevels=false]
+ * @param {boolean} [options.envelopesOnly=false]
+ * @param {boolean} [options.ratioOnly=false]
+ * @returns {Patch}
+ */
+export function mutatePatch(patch, {
+    amount = 0.2,
+    seed = randomSeed(),
+    keepAlgorithm = false,
+    keepCarrierLevels = false,
+    envelopesOnly = false,
+    ratioOnly = false,
+} = {}) {
+    checkAmount(amount);
+
+    const result = Patch.fromJSON(patch.toJSON());
+    mutate(result, patch, seededRandom(seed), amount, {
+        keepAlgorithm,
+        keepCarrierLevels,
+        envelopesOnly,
+        ratioOnly,
+    });
+    return result;
+}
+
+/**
+ * Creates a bank of 32 variations of a patch, or of 32 random patches
+ *
+ * Variation i uses seed + i, so any single one can be recreated with
+ * mutatePatch or randomPatch. Patches are named after their source and
+ * numbered 01 to 32. Only 6 operator banks can be written to SysEx.
+ *
+ * @param {Patch|null} patch - Source patch, or null for random patches
+ * @param {Object} [options] - Options for mutatePatch, or randomPatch when patch is null
+ * @returns {PatchBank}
+ */
+export function variationBank(patch, { seed = randomSeed(), ...options } = {}) {
+    const base = patch === null ? 'RANDOM' : patch.getName();
+    const patches = [];
+
+    for (let idx = 0; idx < BANK_PATCHES; idx++) {
+        const variation = patch === null
+            ? randomPatch({ ...options, seed: seed + idx })
+            : mutatePatch(patch, { ...options, seed: seed + idx });
+        const name = `${base.slice(0, 7).padEnd(7, ' ')} ${String(idx + 1).padStart(2, '0')}`;
+        variation.name = name.split('');
+        patches.push(variation);
+    }
+
+    return PatchBank.fromPatches(patches);
+}
@@ -0,0 +1,171 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Standard MIDI File (type 0 and 1) SysEx extraction
+ */
+
+/** Number of data bytes that follow each channel message status */
+const CHANNEL_MESSAGE_LENGTH = {
+    0x80: 2, 0x90: 2, 0xA0: 2, 0xB0: 2, 0xC0: 1, 0xD0: 1, 0xE0: 2,
+};
+
+/**
+ * Checks for the "MThd" chunk that starts every Standard MIDI File
+ */
+export function isMidiFile(data) {
+    return data.length >= 14
+        && data[0] === 0x4D && data[1] === 0x54 && data[2] === 0x68 && data[3] === 0x64;
+}
+
+/**
+ * Extracts every SysEx message embedded in a Standard MIDI File
+ *
+ * Messages split over an F0 event and following F7 continuation events are
+ * joined back together. Messages left without their F7, by a new F0 event
+ * or by the end of the track, are returned as-is so that loadSysex reports
+ * them as truncated. A truncated track ends its parsing early but keeps the
+ * messages found so far.
+ *
+ * @param {Uint8Array} data - Raw .mid file bytes
+ * @returns {Uint8Array[]} - SysEx messages, each starting with 0xF0
+ */
+export function extractSysexFromMidiFile(data) {
+    if (!isMidiFile(data)) {
+        throw new Error('Not a Standard MIDI File');
+    }
+
+    const format = readUint16(data, 8);
+    if (format > 1) {
+        throw new Error(`Unsupported Standard MIDI File format ${format}`);
+    }
+
+    const messages = [];
+    let offset = 8 + readUint32(data, 4);
+
+    while (offset + 8 <= data.length) {
+        const id = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+        const length = readUint32(data, offset + 4);
+        const start = offset + 8;
+        const end = Math.min(start + length, data.length);
+
+        // Unknown chunk types must be skipped
+        if (id === 'MTrk') {
+            messages.push(...extractTrackSysex(data, start, end));
+        }
+
+        offset = start + length;
+    }
+
+    return messages;
+}
+
+function extractTrackSysex(data, start, end) {
+    const messages = [];
+    let pending = null;
+    let runningStatus = 0;
+    let i = start;
+
+    while (i < end) {
+        const delta = readVariableLength(data, i, end);
+        if (delta === null) break;
+        i = delta.next;
+        if (i >= end) break;
+
+        let status = data[i];
+        if (status < 0x80) {
+            // Running status: the data byte belongs to the previous event
+            status = runningStatus;
+        } else {
+            i++;
+        }
+
+        if (status === 0xFF) {
+            // Meta event
+            runningStatus = 0;
+            i++;
+            const length = readVariableLength(data, i, end);
+            if (length === null) break;
+            i = length.next + length.value;
+        } else if (status === 0xF0 || status === 0xF7) {
+            runningStatus = 0;
+            const length = readVariableLength(data, i, end);
+            if (length === null) break;
+            const body = data.slice(length.next, Math.min(length.next + length.value, end));
+            i = length.next + length.value;
+
+            if (status === 0xF0) {
+                // A new message cuts off the open one, which is kept as truncated
+                if (pending !== null) {
+                    messages.push(new Uint8Array(pending));
+                }
+                pending = [0xF0, ...body];
+            } else if (pending !== null) {
+                pending.push(...body);
+            } else if (body[0] === 0xF0) {
+                // Escaped raw bytes holding a complete message
+                pending = [...body];
+            } else {
+                continue;
+            }
+
+            if (pending[pending.length - 1] === 0xF7) {
+                messages.push(new Uint8Array(pending));
+                pending = null;
+            }
+        } else if (status >= 0x80 && status < 0xF0) {
+            runningStatus = status;
+            i += CHANNEL_MESSAGE_LENGTH[status & 0xF0];
+        } else {
+            // Malformed event, nothing after it can be trusted
+            break;
+        }
+    }
+
+    // A message still open at the end of the track is kept as-is, so the
+    // SysEx loader can report it as truncated
+    if (pending !== null) {
+        messages.push(new Uint8Array(pending));
+    }
+
+    return messages;
+}
+
+function readVariableLength(data, i, end) {
+    let value = 0;
+    for (let n = 0; n < 4 && i < end; n++) {
+        const byte = data[i++];
+        value = (value << 7) | (byte & 0x7f);
+        if ((byte & 0x80) === 0) {
+            return { value, next: i };
+        }
+    }
+    return null;
+}
+
+function readUint16(data, i) {
+    return (data[i] << 8) | data[i + 1];
+}
+
+function readUint32(data, i) {
+    return ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+}
@@ -0,0 +1,531 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Polyphonic synthesizer: a pool of voices sharing one global LFO
+ */
+
+import { portamentoRate } from './dx_units.js';
+import { CONTROLLERS, FunctionSettings, PortamentoMode } from './function_settings.js';
+import { Lfo } from './lfo.js';
+import { DEFAULT_SEED, Random } from '../stmlib/random.js';
+import { Parameters, Voice } from './voice.js';
+
+const MAX_BLOCK_SIZE = 24;
+
+/** Level under which a released voice is considered silent */
+const SILENCE_THRESHOLD = 0.0001;
+
+/** How long a released voice must stay silent before it is freed */
+const SILENCE_DURATION_MS = 100;
+
+/**
+ * Voice stealing strategies, used when a note starts and every voice is busy.
+ * Released voices are always stolen before held ones.
+ */
+export const VoiceStealing = {
+    /** Steal the voice that started first (0) */
+    Oldest: 0,
+    /** Steal the voice with the lowest output level (1) */
+    Quietest: 1,
+    /** Restart the voice already playing the same note, else steal the oldest (2) */
+    SameNote: 2,
+};
+
+/**
+ * One voice of the pool and its playing state
+ */
+class SynthVoice {
+    constructor(patch, sampleRate, tuning) {
+        /** FM voice */
+        this.voice = new Voice(patch, sampleRate, tuning);
+        /** Per-voice render parameters */
+        this.parameters = new Parameters();
+        this.parameters.velocity = 1.0;
+        /** Whether the voice is producing sound */
+        this.active = false;
+        /** Key of the note being played */
+        this.note = -1;
+        /** Current pitch in semitones, gliding towards the key with portamento */
+        this.pitch = 0.0;
+        /** Note-on order, larger is newer */
+        this.age = 0;
+        /** Peak output level of the last rendered block */
+        this.level = 0.0;
+        /** Consecutive silent samples since the note was released */
+        this.silentSamples = 0;
+        /** Whether the gate must drop for one sample to start a new note */
+        this.retrigger = false;
+        /** Whether the key was released while the sustain pedal was down */
+        this.sustained = false;
+    }
+}
+
+/**
+ * Polyphonic DX7 synthesizer
+ *
+ * Events are timestamped in samples since the synth was created, and take
+ * effect at that exact sample during process(). Events in the past take
+ * effect at the start of the next processed block.
+ */
+export class Synth {
+    /**
+     * @param {Patch} patch - Patch played by every voice
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} [options]
+     * @param {number} [options.polyphony=16] - Number of voices
+     * @param {number} [options.stealing=VoiceStealing.Oldest] - Voice stealing strategy
+     * @param {FunctionSettings} [options.functionSettings] - Performance settings, taken from each patch if omitted
+     * @param {Tuning} [options.tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
+     * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch
+     */
+    constructor(patch, sampleRate, {
+        polyphony = 16,
+        stealing = VoiceStealing.Oldest,
+        functionSettings = null,
+        tuning = null,
+        seed = DEFAULT_SEED,
+    } = {}) {
+        if (!Number.isInteger(polyphony) || polyphony < 1) {
+            throw new Error(`Polyphony must be a positive integer, got ${polyphony}`);
+        }
+        if (!Object.values(VoiceStealing).includes(stealing)) {
+            throw new Error(`Unknown voice stealing strategy ${stealing}`);
+        }
+
+        this.sampleRate = sampleRate;
+        this.polyphony = polyphony;
+        this.stealing = stealing;
+        /** Current time in samples */
+        this.time = 0;
+        /** Pending events sorted by time */
+        this.events = [];
+        /** Random generator shared by the LFO and every voice */
+        this.random = new Random(seed);
+        this.lfo = new Lfo();
+        this.lfo.init(sampleRate);
+        this.lfo.random = this.random;
+        this.voices = [];
+        this.noteCount = 0;
+        /** Voice of the most recent note, where portamento glides from */
+        this.lastVoice = null;
+        /** Keys held in mono mode, most recent last */
+        this.heldNotes = [];
+        /** Sustain pedal state */
+        this.sustain = false;
+        /** Pitch bend (-1.0 to 1.0) */
+        this.pitchBend = 0.0;
+        /** Performance controller positions (0.0-1.0), by name from CONTROLLERS */
+        this.controllers = Object.fromEntries(CONTROLLERS.map(name => [name, 0.0]));
+        /** Performance function settings, or null to use the patch's own */
+        this.performanceSettings = functionSettings;
+        /** Function settings in use */
+        this.functionSettings = null;
+        /** Microtuning, or null for 12-TET at A4 = 440 Hz */
+        this.tuning = tuning;
+        this.silenceDurationSamples = Math.floor((sampleRate * SILENCE_DURATION_MS) / 1000);
+        this.temp = new Float32Array(MAX_BLOCK_SIZE * 3);
+        /** Views of temp by block size, created once so that voices can reuse their own views of them */
+        this.temps = Array.from({ length: MAX_BLOCK_SIZE + 1 }, (_, size) => this.temp.subarray(0, size * 3));
+        this.setPatch(patch);
+    }
+
+    /**
+     * Switches every voice to a new patch, cutting any sounding notes
+     */
+    setPatch(patch) {
+        this.patch = patch;
+        this.voices = Array.from({ length: this.polyphony }, () => new SynthVoice(patch, this.sampleRate, this.tuning));
+        for (const v of this.voices) {
+            v.voice.random = this.random;
+        }
+        this.lastVoice = null;
+        this.heldNotes = [];
+        this.lfo.set(patch.modulations);
+        this.lfo.reset();
+        this.setFunctionSettings(this.performanceSettings);
+    }
+
+    /**
+     * Sets performance function settings shared by every patch, or null to
+     * use the settings stored in each patch
+     * @param {FunctionSettings|null} settings
+     */
+    setFunctionSettings(settings) {
+        this.performanceSettings = settings;
+        this.functionSettings = settings !== null ? settings : FunctionSettings.fromPatch(this.patch);
+    }
+
+    /**
+     * Retunes every voice, including sounding notes
+     * @param {Tuning|null} tuning - Microtuning, or null for 12-TET at A4 = 440 Hz
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+        for (const v of this.voices) {
+            v.voice.tuning = tuning;
+        }
+    }
+
+    /**
+     * Schedules a note-on
+     * @param {number} note - MIDI note number
+     * @param {number} [velocity=1.0] - Velocity (0.0-1.0)
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    noteOn(note, velocity = 1.0, time = this.time) {
+        this.schedule({ time: Math.round(time), type: 'noteOn', note, velocity });
+    }
+
+    /**
+     * Schedules a note-off
+     * @param {number} note - MIDI note number
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    noteOff(note, time = this.time) {
+        this.schedule({ time: Math.round(time), type: 'noteOff', note });
+    }
+
+    /**
+     * Schedules the release of every held note
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    allNotesOff(time = this.time) {
+        this.schedule({ time: Math.round(time), type: 'allNotesOff' });
+    }
+
+    /**
+     * Schedules a sustain pedal change
+     * @param {boolean} on - Pedal state
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    setSustain(on, time = this.time) {
+        this.schedule({ time: Math.round(time), type: 'sustain', value: on });
+    }
+
+    /**
+     * Schedules a pitch bend change
+     * @param {number} value - Bend from -1.0 to 1.0, scaled by the pitch bend range
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    setPitchBend(value, time = this.time) {
+        this.schedule({ time: Math.round(time), type: 'pitchBend', value });
+    }
+
+    /**
+     * Schedules a performance controller change
+     * @param {string} controller - 'modWheel', 'foot', 'breath' or 'aftertouch'
+     * @param {number} value - Controller position (0.0-1.0)
+     * @param {number} [time] - Time in samples, now if omitted
+     */
+    setController(controller, value, time = this.time) {
+        if (!CONTROLLERS.includes(controller)) {
+            throw new Error(`Unknown controller ${controller}`);
+        }
+        this.schedule({ time: Math.round(time), type: 'controller', controller, value });
+    }
+
+    /**
+     * Returns the number of voices still producing sound
+     */
+    activeVoices() {
+        return this.voices.filter(v => v.active).length;
+    }
+
+    schedule(event) {
+        // Events at the same time keep their scheduling order
+        let i = this.events.length;
+        while (i > 0 && this.events[i - 1].time > event.time) {
+            i--;
+        }
+        this.events.splice(i, 0, event);
+    }
+
+    /**
+     * Renders the next out.length samples, mixing all voices into out
+     * @param {Float32Array} out - Output buffer, overwritten
+     */
+    process(out) {
+        out.fill(0.0);
+
+        let offset = 0;
+        while (offset < out.length) {
+            while (this.events.length > 0 && this.events[0].time <= this.time) {
+                this.apply(this.events.shift());
+            }
+
+            let size = Math.min(out.length - offset, MAX_BLOCK_SIZE);
+            if (this.events.length > 0) {
+                size = Math.min(size, this.events[0].time - this.time);
+            }
+
+            this.renderBlock(out, offset, size);
+            offset += size;
+            this.time += size;
+        }
+    }
+
+    apply(event) {
+        switch (event.type) {
+            case 'noteOn':
+                this.startNote(event.note, event.velocity);
+                break;
+            case 'noteOff':
+                if (this.functionSettings.mono) {
+                    this.stopMonoNote(event.note);
+                    break;
+                }
+                for (const v of this.voices) {
+                    if (v.parameters.gate && !v.sustained && v.note === event.note) {
+                        this.release(v);
+                    }
+                }
+                break;
+            case 'allNotesOff':
+                this.heldNotes = [];
+                for (const v of this.voices) {
+                    v.parameters.gate = false;
+                    v.sustained = false;
+                }
+                break;
+            case 'sustain':
+                this.sustain = event.value;
+                if (!this.sustain) {
+                    for (const v of this.voices) {
+                        if (v.sustained) {
+                            v.parameters.gate = false;
+                            v.sustained = false;
+                        }
+                    }
+                }
+                break;
+            case 'pitchBend':
+                this.pitchBend = Math.max(-1.0, Math.min(1.0, event.value));
+                break;
+            case 'controller':
+                this.controllers[event.controller] = Math.max(0.0, Math.min(1.0, event.value));
+                break;
+        }
+    }
+
+    release(v) {
+        if (this.sustain) {
+            v.sustained = true;
+        } else {
+            v.parameters.gate = false;
+        }
+    }
+
+    startNote(note, velocity) {
+        // Keys skipped by the keyboard mapping are silent
+        if (this.tuning !== null && !this.tuning.isMapped(note)) {
+            return;
+        }
+
+        const settings = this.functionSettings;
+        const held = settings.mono
+            ? this.heldNotes.length > 0
+            : this.voices.some(v => v.parameters.gate && !v.sustained);
+
+        if (settings.mono) {
+            this.heldNotes = this.heldNotes.filter(n => n !== note);
+            this.heldNotes.push(note);
+
+            // Legato: the note changes but the envelopes keep running
+            const v = this.voices[0];
+            if (v.parameters.gate) {
+                v.sustained = false;
+                this.moveNote(v, note, this.shouldGlide(held));
+                return;
+            }
+            this.triggerNote(v, note, velocity, this.shouldGlide(held));
+            return;
+        }
+
+        this.triggerNote(this.allocate(note), note, velocity, this.shouldGlide(held));
+    }
+
+    stopMonoNote(note) {
+        this.heldNotes = this.heldNotes.filter(n => n !== note);
+
+        const v = this.voices[0];
+        if (!v.parameters.gate || v.sustained || v.note !== note) {
+            return;
+        }
+
+        // Fall back to the previous key still held, legato
+        if (this.heldNotes.length > 0) {
+            this.moveNote(v, this.heldNotes[this.heldNotes.length - 1], this.shouldGlide(true));
+        } else {
+            this.release(v);
+        }
+    }
+
+    /**
+     * Whether a new note glides from the previous one, given whether a key
+     * was held when it started
+     */
+    shouldGlide(held) {
+        const settings = this.functionSettings;
+        return settings.portamentoTime > 0
+            && this.lastVoice !== null
+            && (settings.portamentoMode === PortamentoMode.FullTime || held);
+    }
+
+    moveNote(v, note, glide) {
+        v.pitch = glide ? this.lastVoice.pitch : note;
+        v.note = note;
+        v.parameters.note = v.pitch;
+        this.lastVoice = v;
+    }
+
+    triggerNote(v, note, velocity, glide) {
+        // A held voice needs its gate to drop to start the new note
+        v.retrigger = v.parameters.gate;
+        v.parameters.gate = true;
+        v.parameters.velocity = velocity;
+        this.moveNote(v, note, glide);
+        v.active = true;
+        v.sustained = false;
+        v.age = ++this.noteCount;
+        v.silentSamples = 0;
+
+        // Like the DX7, the single LFO restarts its delay (and its phase
+        // when synced) on every new note
+        this.lfo.reset();
+    }
+
+    allocate(note) {
+        if (this.stealing === VoiceStealing.SameNote) {
+            const same = this.voices.find(v => v.active && v.note === note);
+            if (same) {
+                return same;
+            }
+        }
+
+        const free = this.voices.find(v => !v.active);
+        if (free) {
+            return free;
+        }
+
+        const released = this.voices.filter(v => !v.parameters.gate);
+        const candidates = released.length > 0 ? released : this.voices;
+        const better = this.stealing === VoiceStealing.Quietest
+            ? (a, b) => a.level < b.level
+            : (a, b) => a.age < b.age;
+        return candidates.reduce((best, v) => (better(v, best) ? v : best));
+    }
+
+    /**
+     * Mixes all voices into size samples of out, starting at offset
+     */
+    renderBlock(out, offset, size) {
+        this.lfo.step(size);
+
+        // Controllers deepen the LFO modulation and bias the amplitude
+        const settings = this.functionSettings;
+        let pitchDepth = 0.0;
+        let ampDepth = 0.0;
+        let egBias = 0.0;
+        for (const name of CONTROLLERS) {
+            const value = this.controllers[name];
+            const routing = settings[name];
+            pitchDepth += value * routing.pitch * 0.01;
+            ampDepth += value * routing.amp * 0.01;
+            egBias += (1.0 - value) * routing.egBias * 0.01;
+        }
+
+        const pitchMod = this.lfo.pitchMod()
+            + this.lfo.controllerPitchMod(Math.min(pitchDepth, 1.0))
+            + settings.pitchBendSemitones(this.pitchBend) / 12.0;
+        const ampMod = Math.min(
+            this.lfo.ampMod() + this.lfo.controllerAmpMod(Math.min(ampDepth, 1.0)) + Math.min(egBias, 1.0),
+            1.0
+        );
+
+        for (const v of this.voices) {
+            if (!v.active) {
+                continue;
+            }
+
+            v.parameters.pitchMod = pitchMod;
+            v.parameters.ampMod = ampMod;
+            this.glide(v, size);
+
+            let start = 0;
+            if (v.retrigger) {
+                v.retrigger = false;
+                v.parameters.gate = false;
+                this.renderVoice(v, out, offset, 1);
+                v.parameters.gate = true;
+                start = 1;
+            }
+            if (start < size) {
+                this.renderVoice(v, out, offset + start, size - start);
+            }
+
+            if (!v.parameters.gate && v.level < SILENCE_THRESHOLD) {
+                v.silentSamples += size;
+                if (v.silentSamples >= this.silenceDurationSamples) {
+                    v.active = false;
+                }
+            } else {
+                v.silentSamples = 0;
+            }
+        }
+    }
+
+    /**
+     * Moves a voice's pitch towards its key at the portamento rate
+     */
+    glide(v, size) {
+        if (v.pitch === v.note) {
+            return;
+        }
+
+        const settings = this.functionSettings;
+        const step = portamentoRate(settings.portamentoTime) * size / this.sampleRate;
+        v.pitch = v.pitch < v.note
+            ? Math.min(v.pitch + step, v.note)
+            : Math.max(v.pitch - step, v.note);
+
+        // Glissando moves in steps, landing on the key
+        v.parameters.note = settings.portamentoStep > 0
+            ? v.note + Math.round((v.pitch - v.note) / settings.portamentoStep) * settings.portamentoStep
+            : v.pitch;
+    }
+
+    renderVoice(v, out, offset, size) {
+        const temp = this.temps[size];
+        // Carriers add into the output buffer
+        temp.fill(0.0);
+        v.voice.renderTemp(v.parameters, temp);
+
+        let peak = 0.0;
+        for (let i = 0; i < size; i++) {
+            const sample = temp[i];
+            out[offset + i] += sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        v.level = peak;
+    }
+}
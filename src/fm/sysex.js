@@ -0,0 +1,289 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Lenient SysEx stream scanner
+ *
+ * Finds every Yamaha bulk dump in a byte stream and recovers as many patches
+ * as possible, reporting problems as warnings instead of failing outright.
+ */
+
+import { ACED_SIZE, AMEM_SIZE, Patch, SYX_SIZE, VCED_SIZE, sysexChecksum } from './patch.js';
+import {
+    FOUR_OP_ACED_SIZE,
+    FOUR_OP_SYX_SIZE,
+    FOUR_OP_VCED_SIZE,
+    fourOpPatchFromBytes,
+    fourOpPatchFromVoiceBytes,
+} from './patch4.js';
+import { extractSysexFromMidiFile, isMidiFile } from './smf.js';
+
+const SYSEX_START = 0xF0;
+const SYSEX_END = 0xF7;
+const YAMAHA_ID = 0x43;
+
+/** Bulk dump header: F0 43 0n ff msb lsb */
+const HEADER_SIZE = 6;
+
+/** Format number of universal bulk dumps, identified by a 10 character tag */
+const FORMAT_UNIVERSAL = 0x7E;
+
+const UNIVERSAL_TAG_SIZE = 10;
+
+/**
+ * Supported bulk dump formats, keyed by the format number in byte 3
+ *
+ * Supplements carry extra parameters for the voice data next to them, which
+ * receives the supplement payload as its second argument.
+ */
+const FORMATS = {
+    0x00: {
+        name: 'voice',
+        size: VCED_SIZE,
+        supplement: 'aced',
+        parse: (payload, aced) => {
+            if (payload.length !== VCED_SIZE) {
+                return [];
+            }
+            const patch = Patch.fromVoiceBytes(payload);
+            if (aced) {
+                patch.unpackSupplementVoice(aced);
+            }
+            return [patch];
+        },
+    },
+    0x03: {
+        name: 'voice4',
+        size: FOUR_OP_VCED_SIZE,
+        supplement: 'aced4',
+        parse: (payload, aced) => payload.length === FOUR_OP_VCED_SIZE
+            ? [fourOpPatchFromVoiceBytes(payload, aced)]
+            : [],
+    },
+    0x04: {
+        name: 'bank4',
+        size: 32 * FOUR_OP_SYX_SIZE,
+        parse: (payload) => splitBank(payload, FOUR_OP_SYX_SIZE, fourOpPatchFromBytes),
+    },
+    0x05: {
+        name: 'aced',
+        size: ACED_SIZE,
+        isSupplement: true,
+        parse: (payload) => payload,
+    },
+    0x06: {
+        name: 'amem',
+        size: 32 * AMEM_SIZE,
+        isSupplement: true,
+        parse: (payload) => payload,
+    },
+    0x09: {
+        name: 'bank',
+        size: 32 * SYX_SIZE,
+        supplement: 'amem',
+        parse: (payload, amem) => {
+            const patches = splitBank(payload, SYX_SIZE, Patch.fromBytes);
+            if (amem) {
+                patches.forEach((patch, idx) => {
+                    patch.unpackSupplement(amem.slice(idx * AMEM_SIZE, (idx + 1) * AMEM_SIZE));
+                });
+            }
+            return patches;
+        },
+    },
+};
+
+/**
+ * Supported universal bulk dump formats, keyed by their tag
+ */
+const UNIVERSAL_FORMATS = {
+    'LM  8976AE': {
+        name: 'aced4',
+        size: UNIVERSAL_TAG_SIZE + FOUR_OP_ACED_SIZE,
+        isSupplement: true,
+        parse: (payload) => payload.slice(UNIVERSAL_TAG_SIZE),
+    },
+};
+
+function splitBank(payload, size, fromBytes) {
+    const patches = [];
+    for (let start = 0; start + size <= payload.length; start += size) {
+        patches.push(fromBytes(payload.slice(start, start + size)));
+    }
+    return patches;
+}
+
+function findFormat(data, start) {
+    if (data[start + 3] !== FORMAT_UNIVERSAL) {
+        return FORMATS[data[start + 3]];
+    }
+    const tagStart = start + 6;
+    const tag = String.fromCharCode(...data.slice(tagStart, tagStart + UNIVERSAL_TAG_SIZE));
+    return UNIVERSAL_FORMATS[tag];
+}
+
+/**
+ * Scans a byte stream for DX7 and 4-op voice dumps
+ *
+ * Accepts concatenated dumps, any device channel, garbage between or after
+ * messages, bad checksums and truncated banks (whole patches are kept).
+ * Standard MIDI Files are accepted too: their SysEx events are extracted and
+ * scanned back to back, so offsets then refer to that concatenated stream.
+ *
+ * @param {Uint8Array} data - Raw .syx or .mid file bytes
+ * @returns {{
+ *     patches: Patch[],
+ *     messages: Array<{offset: number, format: string, channel: number, patches: number}>,
+ *     warnings: Array<{offset: number, message: string}>
+ * }}
+ */
+export function loadSysex(data) {
+    const patches = [];
+    const messages = [];
+    const warnings = [];
+    // Supplement waiting for the voice data that follows it
+    let supplement = null;
+    // Most recent voice data, for supplements sent after it
+    let lastVoice = null;
+
+    if (isMidiFile(data)) {
+        const sysex = extractSysexFromMidiFile(data);
+        data = new Uint8Array(sysex.reduce((size, message) => size + message.length, 0));
+        let offset = 0;
+        for (const message of sysex) {
+            data.set(message, offset);
+            offset += message.length;
+        }
+    }
+
+    let i = 0;
+    while (i < data.length) {
+        // Skip anything that is not the start of a SysEx message
+        if (data[i] !== SYSEX_START) {
+            const start = i;
+            while (i < data.length && data[i] !== SYSEX_START) {
+                i++;
+            }
+            warnings.push({ offset: start, message: `Skipped ${i - start} bytes outside of a sysex message` });
+            continue;
+        }
+
+        const start = i;
+        const end = findMessageEnd(data, start);
+        const format = findFormat(data, start);
+
+        if (data[start + 1] !== YAMAHA_ID || (data[start + 2] & 0xf0) !== 0 || end - start < HEADER_SIZE || !format) {
+            warnings.push({ offset: start, message: 'Skipped unsupported sysex message' });
+            i = end;
+            continue;
+        }
+
+        const byteCount = (data[start + 4] << 7) | data[start + 5];
+        if (byteCount !== format.size) {
+            warnings.push({
+                offset: start,
+                message: `Byte count ${byteCount} does not match ${format.name} size ${format.size}`,
+            });
+        }
+
+        const payloadStart = start + HEADER_SIZE;
+        const available = Math.max(0, Math.min(format.size, end - payloadStart));
+        const payload = data.slice(payloadStart, payloadStart + available);
+
+        if (available < format.size) {
+            warnings.push({
+                offset: start,
+                message: `Truncated ${format.name} dump: ${available} of ${format.size} bytes`,
+            });
+        } else {
+            const checksumIdx = payloadStart + format.size;
+            if (checksumIdx >= end || data[checksumIdx] > 0x7f) {
+                warnings.push({ offset: start, message: `Missing checksum in ${format.name} dump` });
+            } else if (data[checksumIdx] !== sysexChecksum(payload)) {
+                warnings.push({ offset: start, message: `Checksum mismatch in ${format.name} dump` });
+            }
+        }
+
+        if (format.isSupplement) {
+            messages.push({ offset: start, format: format.name, channel: data[start + 2] & 0x0f, patches: 0 });
+            i = end;
+
+            if (available < format.size) {
+                continue;
+            }
+
+            if (lastVoice !== null && lastVoice.format.supplement === format.name) {
+                // Re-parse the preceding voice data with its supplement
+                const reparsed = lastVoice.format.parse(lastVoice.payload, format.parse(payload));
+                patches.splice(lastVoice.index, reparsed.length, ...reparsed);
+                lastVoice = null;
+                continue;
+            }
+
+            if (supplement !== null) {
+                warnings.push({ offset: supplement.offset, message: `Unused ${supplement.name} supplement` });
+            }
+            supplement = { offset: start, name: format.name, data: format.parse(payload) };
+            continue;
+        }
+
+        let extra = null;
+        if (supplement !== null && supplement.name === format.supplement) {
+            extra = supplement.data;
+            supplement = null;
+        }
+
+        const recovered = format.parse(payload, extra);
+        lastVoice = extra === null ? { format, payload, index: patches.length } : null;
+        messages.push({
+            offset: start,
+            format: format.name,
+            channel: data[start + 2] & 0x0f,
+            patches: recovered.length,
+        });
+        patches.push(...recovered);
+
+        i = end;
+    }
+
+    if (supplement !== null) {
+        warnings.push({ offset: supplement.offset, message: `Unused ${supplement.name} supplement` });
+    }
+
+    return { patches, messages, warnings };
+}
+
+/**
+ * Finds the index just past the end of the message starting at `start`: past
+ * its EOX, or at the next status byte when the EOX is missing
+ */
+function findMessageEnd(data, start) {
+    for (let i = start + 1; i < data.length; i++) {
+        if (data[i] === SYSEX_END) {
+            return i + 1;
+        }
+        if (data[i] > 0x7f) {
+            return i;
+        }
+    }
+    return data.length;
+}
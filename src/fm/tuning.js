@@ -0,0 +1,276 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Microtuning with Scala scale (.scl) and keyboard mapping (.kbm) files
+ *
+ * See https://www.huygens-fokker.org/scala/scl_format.html and
+ * https://www.huygens-fokker.org/scala/help.htm#mappings for the formats.
+ *
+ * A tuning maps played keys to pitches, expressed as fractional MIDI note
+ * numbers so that 12-TET at A4 = 440 Hz maps every key to itself. The patch
+ * transpose is applied after the tuning, so keyboard mappings always refer
+ * to the keys that are played.
+ */
+
+/**
+ * Parses a Scala scale file
+ * @param {string} text - Contents of a .scl file
+ * @returns {{description: string, pitches: number[]}} - Scale degrees 1 to N in cents, the last one being the period
+ */
+export function parseScl(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) {
+        throw new Error('Invalid Scala scale: missing description or note count');
+    }
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid Scala scale: bad note count "${lines[1].trim()}"`);
+    }
+
+    const pitches = lines.slice(2)
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(token => token !== '')
+        .slice(0, count)
+        .map(parsePitch);
+    if (pitches.length !== count) {
+        throw new Error(`Invalid Scala scale: expected ${count} pitches, got ${pitches.length}`);
+    }
+
+    return { description, pitches };
+}
+
+/**
+ * Parses a Scala pitch, either cents (with a period) or a ratio
+ */
+function parsePitch(token) {
+    if (token.includes('.')) {
+        const cents = Number(token);
+        if (!Number.isFinite(cents)) {
+            throw new Error(`Invalid Scala scale: bad pitch "${token}"`);
+        }
+        return cents;
+    }
+
+    const [numerator, denominator = '1'] = token.split('/');
+    const ratio = Number(numerator) / Number(denominator);
+    if (!/^\d+$/.test(numerator) || !/^\d+$/.test(denominator) || !(ratio > 0)) {
+        throw new Error(`Invalid Scala scale: bad pitch "${token}"`);
+    }
+    return 1200.0 * Math.log2(ratio);
+}
+
+/**
+ * Parses a Scala keyboard mapping file
+ * @param {string} text - Contents of a .kbm file
+ * @returns {{
+ *     size: number,
+ *     firstNote: number,
+ *     lastNote: number,
+ *     middleNote: number,
+ *     referenceNote: number,
+ *     referenceFrequency: number,
+ *     octaveDegree: number,
+ *     mapping: Array<number|null>
+ * }} - Mapping with one scale degree per key of the pattern, null for unmapped keys
+ */
+export function parseKbm(text) {
+    const values = text.split(/\r?\n/)
+        .filter(line => !line.startsWith('!'))
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(token => token !== '');
+    const FIELDS = ['size', 'firstNote', 'lastNote', 'middleNote', 'referenceNote', 'referenceFrequency', 'octaveDegree'];
+    if (values.length < FIELDS.length) {
+        throw new Error(`Invalid keyboard mapping: expected ${FIELDS.length} header values, got ${values.length}`);
+    }
+
+    const kbm = {};
+    FIELDS.forEach((field, i) => {
+        const value = Number(values[i]);
+        const valid = field === 'referenceFrequency'
+            ? value > 0
+            : Number.isInteger(value) && value >= 0 && (field === 'size' || field === 'octaveDegree' || value <= 127);
+        if (!valid) {
+            throw new Error(`Invalid keyboard mapping: bad ${field} "${values[i]}"`);
+        }
+        kbm[field] = value;
+    });
+
+    // Keys missing at the end of the pattern are unmapped
+    kbm.mapping = Array.from({ length: kbm.size }, (_, i) => {
+        const token = values[FIELDS.length + i];
+        if (token === undefined || token === 'x') {
+            return null;
+        }
+        const degree = Number(token);
+        if (!Number.isInteger(degree)) {
+            throw new Error(`Invalid keyboard mapping: bad scale degree "${token}"`);
+        }
+        return degree;
+    });
+
+    return kbm;
+}
+
+/** 12-TET, the tuning of a DX7 without microtuning */
+const EQUAL_TEMPERAMENT = {
+    description: '12-TET',
+    pitches: Array.from({ length: 12 }, (_, i) => (i + 1) * 100.0),
+};
+
+/** Linear mapping with C4 as degree 0 and A4 = 440 Hz */
+const LINEAR_MAPPING = {
+    size: 0,
+    firstNote: 0,
+    lastNote: 127,
+    middleNote: 60,
+    referenceNote: 69,
+    referenceFrequency: 440.0,
+    octaveDegree: 0,
+    mapping: [],
+};
+
+/**
+ * Scale, keyboard mapping and master tune
+ */
+export class Tuning {
+    /**
+     * Creates a tuning, 12-TET at A4 = 440 Hz by default
+     * @param {Object} [options]
+     * @param {Object} [options.scale] - Scale from parseScl, 12-TET if omitted
+     * @param {Object} [options.keyboardMapping] - Mapping from parseKbm, linear from C4 with A4 = 440 Hz if omitted
+     * @param {number} [options.masterTune=440.0] - Frequency of A4 in Hz, scaling the reference frequency of the mapping
+     */
+    constructor({ scale = null, keyboardMapping = null, masterTune = 440.0 } = {}) {
+        if (!(masterTune > 0)) {
+            throw new Error(`Master tune must be a positive frequency, got ${masterTune}`);
+        }
+
+        /** Scale degrees in cents, see parseScl */
+        this.scale = scale || EQUAL_TEMPERAMENT;
+        /** Keyboard mapping, see parseKbm */
+        this.keyboardMapping = keyboardMapping || LINEAR_MAPPING;
+        /** Frequency of A4 in Hz */
+        this.masterTune = masterTune;
+
+        const kbm = this.keyboardMapping;
+        const referenceDegree = this.degree(kbm.referenceNote);
+        if (referenceDegree === null) {
+            throw new Error(`Keyboard mapping reference note ${kbm.referenceNote} is not mapped`);
+        }
+        this.referencePitch = 69.0
+            + 12.0 * Math.log2(kbm.referenceFrequency / 440.0)
+            + 12.0 * Math.log2(masterTune / 440.0)
+            - this.cents(referenceDegree) / 100.0;
+    }
+
+    /**
+     * Scale degree played by a key, or null when the key is unmapped
+     */
+    degree(key) {
+        const kbm = this.keyboardMapping;
+        if (key < kbm.firstNote || key > kbm.lastNote) {
+            return null;
+        }
+
+        const offset = key - kbm.middleNote;
+        if (kbm.size === 0) {
+            return offset;
+        }
+
+        const octave = Math.floor(offset / kbm.size);
+        const degree = kbm.mapping[offset - octave * kbm.size];
+        return degree === null ? null : octave * kbm.octaveDegree + degree;
+    }
+
+    /**
+     * Pitch of a scale degree in cents, relative to degree 0
+     */
+    cents(degree) {
+        const pitches = this.scale.pitches;
+        const n = pitches.length;
+        const octave = Math.floor(degree / n);
+        const step = degree - octave * n;
+        return octave * pitches[n - 1] + (step === 0 ? 0.0 : pitches[step - 1]);
+    }
+
+    /**
+     * Whether a key plays a note, keys the mapping skips ('x') are silent
+     */
+    isMapped(key) {
+        return this.degree(key) !== null;
+    }
+
+    /**
+     * Pitch of a key as a fractional MIDI note number
+     *
+     * Fractional keys (during portamento) interpolate between their
+     * neighbours. Unmapped keys follow the nearest mapped key below them in
+     * semitones.
+     * @param {number} key - MIDI note number
+     */
+    pitch(key) {
+        const lower = Math.floor(key);
+        const fraction = key - lower;
+        const low = this.keyPitch(lower);
+        return fraction === 0.0 ? low : low + (this.keyPitch(lower + 1) - low) * fraction;
+    }
+
+    keyPitch(key) {
+        const kbm = this.keyboardMapping;
+        for (let k = Math.min(key, kbm.lastNote); k >= kbm.firstNote; k--) {
+            const degree = this.degree(k);
+            if (degree !== null) {
+                return this.referencePitch + this.cents(degree) / 100.0 + (key - k);
+            }
+        }
+        // Below the first mapped key
+        for (let k = kbm.firstNote; k <= kbm.lastNote; k++) {
+            const degree = this.degree(k);
+            if (degree !== null) {
+                return this.referencePitch + this.cents(degree) / 100.0 + (key - k);
+            }
+        }
+        return key;
+    }
+
+    /**
+     * Frequency of a key in Hz
+     * @param {number} key - MIDI note number
+     */
+    frequency(key) {
+        return 440.0 * Math.pow(2.0, (this.pitch(key) - 69.0) / 12.0);
+    }
+
+    /**
+     * Plain object for postMessage, accepted by the constructor
+     */
+    toJSON() {
+        return {
+            scale: this.scale,
+            keyboardMapping: this.keyboardMapping,
+            masterTune: this.masterTune,
+        };
+    }
+}
@@ -32,14 +32,15 @@ import {
     keyboardScaling,
     normalizeVelocity,
     operatorLevel,
+    pitchEnvelopeRange,
     pow2Fast,
+    randomPitchDepth,
     rateScaling,
 } from './dx_units.js';
 import { OperatorEnvelope, PitchEnvelope } from './envelope.js';
 import { Operator } from './operator.js';
 import { semitonesToRatioSafe } from '../stmlib/dsp.js';
-
-const NUM_OPERATORS = 6;
+import { Random } from '../stmlib/random.js';
 
 /**
  * Voice parameters for rendering
@@ -71,29 +72,49 @@ export class Parameters {
 export class Voice {
     /**
      * Creates a new voice
+     * @param {Patch} patch - DX7 or 4-op patch
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Tuning} [tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
      */
-    constructor(patch, sampleRate) {
-        this.algorithms = new Algorithms();
+    constructor(patch, sampleRate, tuning = null) {
+        const numOperators = patch.op.length;
+        this.numOperators = numOperators;
+        this.algorithms = new Algorithms(numOperators);
         this.sampleRate = sampleRate;
         this.oneHz = 1.0 / sampleRate;
         this.a0 = 55.0 / sampleRate;
         this.gate = false;
-        this.operator = Array.from({ length: NUM_OPERATORS }, () => new Operator());
-        this.operatorEnvelope = Array.from({ length: NUM_OPERATORS }, () => new OperatorEnvelope());
+        this.operator = Array.from({ length: numOperators }, () => new Operator());
+        this.operatorEnvelope = Array.from({ length: numOperators }, () => new OperatorEnvelope());
         this.pitchEnvelope = new PitchEnvelope();
         this.normalizedVelocity = 10.0;
         this.note = 48.0;
-        this.ratios = new Float32Array(NUM_OPERATORS);
-        this.levelHeadroom = new Float32Array(NUM_OPERATORS);
-        this.level = new Float32Array(NUM_OPERATORS);
+        this.ratios = new Float32Array(numOperators);
+        this.levelHeadroom = new Float32Array(numOperators);
+        this.level = new Float32Array(numOperators);
+        this.frequency = new Float32Array(numOperators);
+        this.amplitude = new Float32Array(numOperators);
+        /** Render call arguments by first operator and chain length, see chain() */
+        this.chains = [];
+        /** Views of the temp buffers given to renderTemp, by buffer */
+        this.tempViews = new WeakMap();
+        /** Last stems given to renderStems, and their slices by render call */
+        this.stemBuffers = null;
+        this.stemTaps = [];
+        this.pitchEnvelopeValue = 0.0;
         this.feedbackState = new Float32Array([0.0, 0.0]);
+        this.pitchEnvelopeScale = 1.0;
+        this.randomPitch = 0.0;
         this.patch = patch;
+        this.tuning = tuning;
+        /** Random generator for the DX7II random pitch, may be shared with the LFO of a render */
+        this.random = new Random();
         this.dirty = true;
 
         const nativeSr = 44100.0;
         const envelopeScale = nativeSr * this.oneHz;
 
-        for (let i = 0; i < NUM_OPERATORS; i++) {
+        for (let i = 0; i < numOperators; i++) {
             this.operator[i].reset();
             this.operatorEnvelope[i].init(envelopeScale);
         }
@@ -114,13 +135,17 @@ export class Voice {
             this.patch.pitchEnvelope.level
         );
 
-        for (let i = 0; i < NUM_OPERATORS; i++) {
+        const supplement = this.patch.supplement;
+        this.pitchEnvelopeScale = supplement ? pitchEnvelopeRange(supplement.pitchEnvelopeRange) : 1.0;
+
+        for (let i = 0; i < this.numOperators; i++) {
             const op = this.patch.op[i];
             const level = operatorLevel(op.level);
             this.operatorEnvelope[i].set(op.envelope.rate, op.envelope.level, level);
             this.levelHeadroom[i] = 127 - level;
             const sign = op.mode === 0 ? 1.0 : -1.0;
             this.ratios[i] = sign * frequencyRatio(op);
+            this.operator[i].waveform = op.waveform;
         }
 
         this.dirty = false;
@@ -134,6 +159,21 @@ export class Voice {
         return this.level[i];
     }
 
+    /**
+     * Returns the envelope stage of an operator (0-3, 3 = release)
+     */
+    opStage(i) {
+        return this.operatorEnvelope[i].envelope.stage;
+    }
+
+    /**
+     * Returns the linear amplitude of an operator in the last block, after
+     * amplitude modulation
+     */
+    opAmplitude(i) {
+        return this.amplitude[i];
+    }
+
     /**
      * Renders audio with 2 output buffers (out and aux)
      */
@@ -152,17 +192,72 @@ export class Voice {
      * Renders audio with single temp buffer
      */
     renderTemp(parameters, temp) {
-        const size = Math.floor(temp.length / 3);
-        const buffers = [
-            temp.subarray(0, size),
-            temp.subarray(size, size * 2),
-            temp.subarray(size * 2, size * 3),
-            temp.subarray(size * 2, size * 3),
-        ];
-        this.renderInternal(parameters, buffers, size);
+        this.renderInternal(parameters, this.splitTemp(temp), Math.floor(temp.length / 3));
+    }
+
+    /**
+     * Renders audio with single temp buffer, also writing the output of
+     * each operator on its own
+     * @param {Parameters} parameters
+     * @param {Float32Array} temp - Render buffer, 3 times the block size
+     * @param {Array<Float32Array|null>} stems - One buffer of the block size per operator (in patch.op order), or null to skip it
+     */
+    renderStems(parameters, temp, stems) {
+        this.renderInternal(parameters, this.splitTemp(temp), Math.floor(temp.length / 3), stems);
+    }
+
+    /**
+     * Splits a temp buffer into the 4 render buffers, reusing the views of
+     * buffers rendered into before
+     */
+    splitTemp(temp) {
+        let views = this.tempViews.get(temp);
+        if (views === undefined) {
+            const size = Math.floor(temp.length / 3);
+            views = [
+                temp.subarray(0, size),
+                temp.subarray(size, size * 2),
+                temp.subarray(size * 2, size * 3),
+                temp.subarray(size * 2, size * 3),
+            ];
+            this.tempViews.set(temp, views);
+        }
+        return views;
+    }
+
+    /**
+     * Operators, frequencies and amplitudes of a render call, created once
+     * as algorithms always chain the same operators together
+     */
+    chain(i, n) {
+        const key = i * (this.numOperators + 1) + n;
+        if (this.chains[key] === undefined) {
+            this.chains[key] = {
+                ops: this.operator.slice(i, i + n),
+                f: this.frequency.subarray(i, i + n),
+                a: this.amplitude.subarray(i, i + n),
+            };
+        }
+        return this.chains[key];
+    }
+
+    /**
+     * Stem buffers of a render call, sliced once for the stems rendered into
+     * block after block
+     */
+    taps(stems, i, n) {
+        if (stems !== this.stemBuffers) {
+            this.stemBuffers = stems;
+            this.stemTaps = [];
+        }
+        const key = i * (this.numOperators + 1) + n;
+        if (this.stemTaps[key] === undefined) {
+            this.stemTaps[key] = stems.slice(i, i + n);
+        }
+        return this.stemTaps[key];
     }
 
-    renderInternal(parameters, buffers, size) {
+    renderInternal(parameters, buffers, size, stems = null) {
         if (this.setup()) {
             return;
         }
@@ -174,13 +269,15 @@ export class Voice {
         const envelopeSample = gateDuration * parameters.envelopeControl;
 
         const inputNote = parameters.note - 24.0 + this.patch.transpose;
+        const tunedNote = this.tuning === null
+            ? inputNote
+            : this.tuning.pitch(parameters.note) - 24.0 + this.patch.transpose;
 
         const pitchEnvelope = parameters.sustain
             ? this.pitchEnvelope.renderAtSample(envelopeSample, gateDuration)
             : this.pitchEnvelope.renderScaled(parameters.gate, envelopeRate, adScale, rScale);
 
-        const pitchMod = pitchEnvelope + parameters.pitchMod;
-        const f0 = this.a0 * 0.25 * semitonesToRatioSafe(inputNote - 9.0 + pitchMod * 12.0);
+        this.pitchEnvelopeValue = pitchEnvelope * this.pitchEnvelopeScale;
 
         const noteOn = parameters.gate && !this.gate;
         this.gate = parameters.gate;
@@ -189,16 +286,24 @@ export class Voice {
             this.note = inputNote;
         }
 
+        // DX7II random pitch fluctuation, drawn once per note
+        if (noteOn && this.patch.supplement && this.patch.supplement.randomPitch !== 0) {
+            this.randomPitch = (this.random.getFloat() * 2.0 - 1.0) * randomPitchDepth(this.patch.supplement.randomPitch);
+        }
+
+        const pitchMod = pitchEnvelope * this.pitchEnvelopeScale + parameters.pitchMod;
+        const f0 = this.a0 * 0.25 * semitonesToRatioSafe(tunedNote - 9.0 + this.randomPitch + pitchMod * 12.0);
+
         if (noteOn && this.patch.resetPhase !== 0) {
-            for (let i = 0; i < NUM_OPERATORS; i++) {
+            for (let i = 0; i < this.numOperators; i++) {
                 this.operator[i].phase = 0;
             }
         }
 
-        const f = new Float32Array(NUM_OPERATORS);
-        const a = new Float32Array(NUM_OPERATORS);
+        const f = this.frequency;
+        const a = this.amplitude;
 
-        for (let i = 0; i < NUM_OPERATORS; i++) {
+        for (let i = 0; i < this.numOperators; i++) {
             const op = this.patch.op[i];
             f[i] = this.ratios[i]
                 * (this.ratios[i] < 0.0 ? -this.oneHz : f0);
@@ -230,26 +335,30 @@ export class Voice {
             const logLevelMod = sensitivity * parameters.ampMod - 1.0;
             const levelMod = 1.0 - pow2Fast(6.4 * logLevelMod, 2);
             a[i] = pow2Fast(-14.0 + levelAdjusted * levelMod, 2);
+
+            // Operators switched off still run, silently
+            if (((this.patch.activeOperators >> i) & 1) === 0) {
+                a[i] = 0.0;
+            }
         }
 
         let i = 0;
-        while (i < NUM_OPERATORS) {
+        while (i < this.numOperators) {
             const call = this.algorithms.renderCall(this.patch.algorithm, i);
-            const opsSlice = this.operator.slice(i, i + call.n);
-            const fSlice = f.subarray(i, i + call.n);
-            const aSlice = a.subarray(i, i + call.n);
+            const chain = this.chain(i, call.n);
 
             const inputBuffer = buffers[call.inputIndex];
             const outputBuffer = buffers[call.outputIndex];
 
             call.renderFn(
-                opsSlice,
-                fSlice,
-                aSlice,
+                chain.ops,
+                chain.f,
+                chain.a,
                 this.feedbackState,
                 this.patch.feedback,
                 inputBuffer,
-                outputBuffer
+                outputBuffer,
+                stems === null ? null : this.taps(stems, i, call.n)
             );
 
             i += call.n;
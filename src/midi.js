@@ -0,0 +1,189 @@
+// Copyright 2025 Tyler Neely (tylerneely@gmail.com).
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+//
+// See http://creativecommons.org/licenses/MIT/ for more information.
+
+/**
+ * Web MIDI input routing
+ *
+ * Works on any object shaped like the Web MIDI API `MIDIAccess`, so it can be
+ * driven by a fake in tests. Performance messages are forwarded to a target
+ * with the Dx7Node / Synth methods: noteOn, noteOff, allNotesOff, setSustain,
+ * setPitchBend and setController.
+ */
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const POLY_PRESSURE = 0xA0;
+const CONTROL_CHANGE = 0xB0;
+const CHANNEL_PRESSURE = 0xD0;
+const PITCH_BEND = 0xE0;
+
+const CC_MOD_WHEEL = 1;
+const CC_BREATH = 2;
+const CC_FOOT = 4;
+const CC_SUSTAIN = 64;
+const CC_ALL_SOUND_OFF = 120;
+const CC_ALL_NOTES_OFF = 123;
+
+const SYSEX_START = 0xF0;
+const YAMAHA_ID = 0x43;
+
+/**
+ * Routes messages from one selected MIDI input to a sound engine
+ */
+export class MidiInput {
+    /**
+     * @param {MIDIAccess} access - Result of navigator.requestMIDIAccess({ sysex: true })
+     * @param {Object} target - Engine receiving the performance messages
+     * @param {Object} [options]
+     * @param {number|null} [options.channel=null] - MIDI channel to listen to (0-15), or null for all
+     * @param {function(Uint8Array)} [options.onSysex] - Called with each Yamaha SysEx message
+     * @param {function(Array<{id: string, name: string}>)} [options.onInputsChanged] - Called when devices come and go
+     */
+    constructor(access, target, { channel = null, onSysex = null, onInputsChanged = null } = {}) {
+        this.access = access;
+        this.target = target;
+        this.channel = channel;
+        this.onSysex = onSysex;
+        this.onInputsChanged = onInputsChanged;
+        /** Currently selected input, or null */
+        this.input = null;
+
+        this.handleMidiMessage = (event) => this.handleMessage(event.data);
+
+        this.access.onstatechange = () => {
+            if (this.onInputsChanged) {
+                this.onInputsChanged(this.inputs());
+            }
+        };
+    }
+
+    /**
+     * Lists the available input devices
+     * @returns {Array<{id: string, name: string}>}
+     */
+    inputs() {
+        return Array.from(this.access.inputs.values(), input => ({ id: input.id, name: input.name }));
+    }
+
+    /**
+     * Starts listening to an input device, releasing the previous one
+     * @param {string|null} id - Input id from inputs(), or null to stop listening
+     */
+    select(id) {
+        if (this.input !== null) {
+            this.input.removeEventListener('midimessage', this.handleMidiMessage);
+            this.target.allNotesOff();
+            this.input = null;
+        }
+
+        if (id === null) {
+            return;
+        }
+
+        const input = this.access.inputs.get(id);
+        if (!input) {
+            throw new Error(`Unknown MIDI input ${id}`);
+        }
+        input.addEventListener('midimessage', this.handleMidiMessage);
+        this.input = input;
+    }
+
+    /**
+     * Stops listening to the selected input and to device changes
+     */
+    close() {
+        this.select(null);
+        this.access.onstatechange = null;
+    }
+
+    /**
+     * Handles one complete MIDI message
+     * @param {Uint8Array} data - Message bytes
+     */
+    handleMessage(data) {
+        const status = data[0];
+
+        if (status === SYSEX_START) {
+            if (data[1] === YAMAHA_ID && this.onSysex) {
+                this.onSysex(data);
+            }
+            return;
+        }
+
+        if (status < 0x80 || status >= 0xF0) {
+            return;
+        }
+        if (this.channel !== null && (status & 0x0f) !== this.channel) {
+            return;
+        }
+
+        switch (status & 0xf0) {
+            case NOTE_ON:
+                // A note-on with velocity 0 is a note-off
+                if (data[2] === 0) {
+                    this.target.noteOff(data[1]);
+                } else {
+                    this.target.noteOn(data[1], data[2] / 127);
+                }
+                break;
+            case NOTE_OFF:
+                this.target.noteOff(data[1]);
+                break;
+            case CONTROL_CHANGE:
+                this.handleControlChange(data[1], data[2]);
+                break;
+            case CHANNEL_PRESSURE:
+                this.target.setController('aftertouch', data[1] / 127);
+                break;
+            case POLY_PRESSURE:
+                // The DX7 only has channel aftertouch
+                this.target.setController('aftertouch', data[2] / 127);
+                break;
+            case PITCH_BEND: {
+                const value = (data[1] | (data[2] << 7)) - 8192;
+                this.target.setPitchBend(Math.max(-1.0, value / 8191));
+                break;
+            }
+        }
+    }
+
+    handleControlChange(controller, value) {
+        switch (controller) {
+            case CC_MOD_WHEEL:
+                this.target.setController('modWheel', value / 127);
+                break;
+            case CC_BREATH:
+                this.target.setController('breath', value / 127);
+                break;
+            case CC_FOOT:
+                this.target.setController('foot', value / 127);
+                break;
+            case CC_SUSTAIN:
+                this.target.setSustain(value >= 64);
+                break;
+            case CC_ALL_SOUND_OFF:
+            case CC_ALL_NOTES_OFF:
+                this.target.allNotesOff();
+                break;
+        }
+    }
+}
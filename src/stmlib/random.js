@@ -26,21 +26,38 @@
  * Linear Congruential Generator
  */
 
-let rngState = 0x21;
-
 /**
- * Generates a 32-bit random word
+ * Initial state of the C++ generator
  */
-export function getWord() {
-    // JavaScript bitwise operations work on 32-bit signed integers,
-    // so we need to use >>> 0 to convert back to unsigned
-    rngState = (Math.imul(rngState, 1664525) + 1013904223) >>> 0;
-    return rngState;
-}
+export const DEFAULT_SEED = 0x21;
 
 /**
- * Generates a random float in the range [0.0, 1.0)
+ * Generator with its own state, so that renders never depend on what was
+ * rendered before them
  */
-export function getFloat() {
-    return getWord() / 4294967296.0;
+export class Random {
+    /**
+     * @param {number} [seed=DEFAULT_SEED] - Initial state
+     */
+    constructor(seed = DEFAULT_SEED) {
+        /** Current 32-bit state */
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Generates a 32-bit random word
+     */
+    getWord() {
+        // JavaScript bitwise operations work on 32-bit signed integers,
+        // so we need to use >>> 0 to convert back to unsigned
+        this.state = (Math.imul(this.state, 1664525) + 1013904223) >>> 0;
+        return this.state;
+    }
+
+    /**
+     * Generates a random float in the range [0.0, 1.0)
+     */
+    getFloat() {
+        return this.getWord() / 4294967296.0;
+    }
 }
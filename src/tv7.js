@@ -7,8 +7,16 @@
  * - ZIP archive creation containing both files
  */
 
-import JSZip from 'jszip';
-import { generateSamples } from './dx7.js';
+import { Random } from './stmlib/random.js';
+import {
+    crossfadeLoop,
+    findLoop,
+    generateOperatorStems,
+    generateSamples,
+    integratedLoudness,
+    morphSteps,
+    truePeak,
+} from './dx7.js';
 
 /**
  * Sanitize name for Tonverk compatibility
@@ -31,13 +39,59 @@ export function tonverkSanitize(input) {
         .trim();
 }
 
+/**
+ * WAV sample formats
+ */
+export const SampleFormat = {
+    /** 32-bit IEEE float */
+    Float32: 'float32',
+    /** 16-bit integer PCM */
+    Pcm16: 'pcm16',
+    /** 24-bit integer PCM */
+    Pcm24: 'pcm24',
+};
+
+/** Bytes per sample of each format */
+const SAMPLE_BYTES = {
+    [SampleFormat.Float32]: 4,
+    [SampleFormat.Pcm16]: 2,
+    [SampleFormat.Pcm24]: 3,
+};
+
 /**
  * Generate WAV file data from audio samples
+ *
+ * Integer formats are dithered with TPDF noise of +/-1 LSB, optionally
+ * shaped towards high frequencies by first-order error feedback. Samples
+ * beyond full scale (+/-1.0) are clamped in integer formats and kept in
+ * float, and reported either way. Full scale itself is not clipping, even
+ * though +1.0 is written as the highest integer, one LSB below it.
  * @param {Float32Array[]} pitchBuffers - Array of sample buffers for each pitch
  * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.loops=[]] - Forward loops (end exclusive) in samples from
+ *     the start of the file, written to a smpl chunk
+ * @param {string} [options.format=SampleFormat.Float32] - Sample format, see SampleFormat
+ * @param {boolean} [options.dither=true] - Dither integer formats
+ * @param {boolean} [options.noiseShaping=false] - Shape the dither and quantization noise of integer formats
+ * @param {number} [options.seed] - Seed of the dither noise
+ * @param {function({samples: number, peak: number})} [options.onClip] - Called with the number of samples beyond
+ *     full scale and the highest absolute sample value, if any sample is
  * @returns {Uint8Array} - WAV file bytes
  */
-export function generateWav(pitchBuffers, sampleRate) {
+export function generateWav(pitchBuffers, sampleRate, {
+    loops = [],
+    format = SampleFormat.Float32,
+    dither = true,
+    noiseShaping = false,
+    seed,
+    onClip = null,
+} = {}) {
+    const bytes = SAMPLE_BYTES[format];
+    if (bytes === undefined) {
+        throw new Error(`Unknown sample format ${format}`);
+    }
+
     // Find the longest buffer
     const maxLength = Math.max(...pitchBuffers.map(buf => buf.length));
 
@@ -45,9 +99,12 @@ export function generateWav(pitchBuffers, sampleRate) {
     const totalSamples = maxLength * pitchBuffers.length;
 
     // WAV file format:
-    // RIFF header (12 bytes) + fmt chunk (24 bytes) + data chunk (8 bytes + data)
-    const dataSize = totalSamples * 4; // 32-bit float = 4 bytes per sample
-    const fileSize = 44 + dataSize;
+    // RIFF header (12 bytes) + fmt chunk (24 bytes) + data chunk (8 bytes + data, padded to an even size)
+    // + optional smpl chunk (8 bytes + 36 bytes + 24 bytes per loop)
+    const dataSize = totalSamples * bytes;
+    const dataPadding = dataSize & 1;
+    const smplSize = loops.length > 0 ? 36 + loops.length * 24 : 0;
+    const fileSize = 44 + dataSize + dataPadding + (loops.length > 0 ? 8 + smplSize : 0);
 
     const buffer = new ArrayBuffer(fileSize);
     const view = new DataView(buffer);
@@ -60,30 +117,91 @@ export function generateWav(pitchBuffers, sampleRate) {
     // fmt chunk
     writeString(view, 12, 'fmt ');
     view.setUint32(16, 16, true); // fmt chunk size
-    view.setUint16(20, 3, true);  // format = IEEE float
+    view.setUint16(20, format === SampleFormat.Float32 ? 3 : 1, true); // format = IEEE float or PCM
     view.setUint16(22, 1, true);  // channels = 1 (mono)
     view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 4, true); // byte rate
-    view.setUint16(32, 4, true);  // block align
-    view.setUint16(34, 32, true); // bits per sample
+    view.setUint32(28, sampleRate * bytes, true); // byte rate
+    view.setUint16(32, bytes, true);  // block align
+    view.setUint16(34, bytes * 8, true); // bits per sample
 
     // data chunk
     writeString(view, 36, 'data');
     view.setUint32(40, dataSize, true);
 
     // Write samples
+    const scale = 2 ** (bytes * 8 - 1);
+    const random = new Random(seed);
+    let clippedSamples = 0;
+    let peak = 0.0;
     let offset = 44;
     for (const pitchBuffer of pitchBuffers) {
+        // Noise shaping starts afresh on every pitch
+        let error = 0.0;
+
         // Write actual samples
         for (let i = 0; i < pitchBuffer.length; i++) {
-            view.setFloat32(offset, pitchBuffer[i], true);
-            offset += 4;
-        }
-        // Pad with zeros to maxLength
-        for (let i = pitchBuffer.length; i < maxLength; i++) {
-            view.setFloat32(offset, 0.0, true);
-            offset += 4;
+            const sample = pitchBuffer[i];
+            peak = Math.max(peak, Math.abs(sample));
+            if (Math.abs(sample) > 1.0) clippedSamples++;
+
+            if (format === SampleFormat.Float32) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const wanted = sample * scale - (noiseShaping ? error : 0.0);
+                const noise = dither ? random.getFloat() - random.getFloat() : 0.0;
+                let value = Math.round(wanted + noise);
+                // +1.0 and dither beyond full scale are clamped to the highest code without being reported
+                if (value > scale - 1 || value < -scale) {
+                    value = Math.max(-scale, Math.min(scale - 1, value));
+                    error = 0.0;
+                } else {
+                    error = value - wanted;
+                }
+
+                if (bytes === 2) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+            }
+            offset += bytes;
         }
+
+        // Pad with zeros to maxLength (the buffer starts out zeroed)
+        offset += (maxLength - pitchBuffer.length) * bytes;
+    }
+    offset += dataPadding;
+
+    if (clippedSamples > 0 && onClip !== null) {
+        onClip({ samples: clippedSamples, peak });
+    }
+
+    // smpl chunk
+    if (loops.length > 0) {
+        writeString(view, offset, 'smpl');
+        view.setUint32(offset + 4, smplSize, true);
+        view.setUint32(offset + 8, 0, true);  // manufacturer
+        view.setUint32(offset + 12, 0, true); // product
+        view.setUint32(offset + 16, Math.round(1e9 / sampleRate), true); // sample period in ns
+        view.setUint32(offset + 20, 60, true); // MIDI unity note, each zone carries its own pitch
+        view.setUint32(offset + 24, 0, true); // MIDI pitch fraction
+        view.setUint32(offset + 28, 0, true); // SMPTE format
+        view.setUint32(offset + 32, 0, true); // SMPTE offset
+        view.setUint32(offset + 36, loops.length, true);
+        view.setUint32(offset + 40, 0, true); // sampler data size
+        offset += 44;
+
+        loops.forEach((loop, index) => {
+            view.setUint32(offset, index, true);          // cue point ID
+            view.setUint32(offset + 4, 0, true);          // type = forward
+            view.setUint32(offset + 8, loop.start, true);
+            view.setUint32(offset + 12, loop.end - 1, true); // last sample played
+            view.setUint32(offset + 16, 0, true);         // fraction
+            view.setUint32(offset + 20, 0, true);         // play count = forever
+            offset += 24;
+        });
     }
 
     return new Uint8Array(buffer);
@@ -95,38 +213,102 @@ function writeString(view, offset, string) {
     }
 }
 
+/**
+ * How the Tonverk picks between the sample slots of a velocity layer
+ */
+export const SlotStrategy = {
+    /** Cycle through the slots in order */
+    Forward: 'Forward',
+    /** Cycle through the slots in reverse order */
+    Backward: 'Backward',
+    /** Pick a random slot for every note */
+    Random: 'Random',
+};
+
+/**
+ * How the levels of a multisample are set
+ */
+export const Normalization = {
+    /** Raw engine output, at the patch's own level */
+    None: 'none',
+    /** The peak of every zone at the target level, flattening keyboard level scaling */
+    NotePeak: 'note-peak',
+    /** One gain for all zones, the loudest peak at the target level */
+    GlobalPeak: 'global-peak',
+    /** One gain for all zones reaching the target loudness, within the true-peak ceiling */
+    Loudness: 'loudness',
+};
+
+/**
+ * Converts a MIDI velocity (1-127) to an .elmulti layer velocity, rounding
+ * up to 7 decimals so that 127 gives the 0.9960785 the Tonverk writes
+ */
+function elmultiVelocity(velocity) {
+    return Math.ceil((velocity / 127.5) * 1e7) / 1e7;
+}
+
 /**
  * Generate .elmulti TOML configuration
  * @param {string} name - Patch name
- * @param {Array<{pitch: number, start: number, end: number}>} zones - Key zone definitions
+ * @param {Array<{pitch: number, start: number, end: number}|{pitch: number, layers: Array<{velocity: number, start: number, end: number}|{velocity: number, slots: Array<{start: number, end: number}>}>}>} zones -
+ *     Key zone definitions, either with a single full velocity sample or with velocity layers (MIDI velocities 1-127)
+ *     holding one sample or several round-robin sample slots. Slots with loopStart and loopEnd (end exclusive, in
+ *     samples from the start of the WAV file like the trim range) loop forward while the key is held.
+ * @param {Object} [options]
+ * @param {string} [options.strategy=SlotStrategy.Forward] - How the sample slots of a layer are picked, see SlotStrategy
  * @returns {string} - TOML configuration text
  */
-export function generateElmulti(name, zones) {
+export function generateElmulti(name, zones, { strategy = SlotStrategy.Forward } = {}) {
+    if (!Object.values(SlotStrategy).includes(strategy)) {
+        throw new Error(`Unknown sample slot strategy ${strategy}`);
+    }
+
     let toml = `# ELEKTRON MULTI-SAMPLE MAPPING FORMAT
 version = 0
 name = '${name}'
 `;
 
     zones.forEach((zone, index) => {
-        const isLast = index === zones.length - 1;
+        const isLastZone = index === zones.length - 1;
+        const layers = zone.layers || [{ velocity: 127, start: zone.start, end: zone.end }];
 
         toml += `
 [[key-zones]]
 pitch = ${zone.pitch}
 key-center = ${zone.pitch}.0
+`;
+
+        layers.forEach((layer, layerIndex) => {
+            const isLastLayer = isLastZone && layerIndex === layers.length - 1;
+            const slots = layer.slots || [{ start: layer.start, end: layer.end }];
 
+            toml += `
 [[key-zones.velocity-layers]]
-velocity = 0.9960785
-strategy = 'Forward'
+velocity = ${elmultiVelocity(layer.velocity)}
+strategy = '${strategy}'
+`;
+
+            slots.forEach((slot, slotIndex) => {
+                const isLast = isLastLayer && slotIndex === slots.length - 1;
 
+                toml += `
 [[key-zones.velocity-layers.sample-slots]]
 sample = '${name}.wav'
-trim-start = ${zone.start}
+trim-start = ${slot.start}
 `;
 
-        if (!isLast) {
-            toml += `trim-end = ${zone.end}\n`;
-        }
+                if (!isLast) {
+                    toml += `trim-end = ${slot.end}\n`;
+                }
+
+                if (slot.loopStart !== undefined) {
+                    toml += `loop-mode = 'Forward'
+loop-start = ${slot.loopStart}
+loop-end = ${slot.loopEnd}
+`;
+                }
+            });
+        });
     });
 
     return toml;
@@ -134,62 +316,365 @@ trim-start = ${zone.start}
 
 /**
  * Generate a Tonverk-compatible multisample archive
+ *
+ * With a tuning, each zone holds its key rendered at the tuned pitch, and
+ * keys the keyboard mapping skips are left out. The Tonverk plays keys
+ * between zones in 12-TET from the nearest zone, so sample every key
+ * (increment 1) for scales that stray far from 12-TET.
  * @param {Patch} patch - DX7 patch
  * @param {Array<number>} midiNotes - Array of MIDI note numbers to sample
  * @param {number} sampleRate - Sample rate in Hz
  * @param {number} durationMs - Key-on duration in milliseconds
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the folder and files, the sanitized patch name if omitted
+ * @param {Tuning} [options.tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
+ * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch, making exports byte-reproducible
+ * @param {Array<number>} [options.velocities=[127]] - MIDI velocities (1-127) to render as velocity layers of every zone
+ * @param {number} [options.takes=1] - Round-robin takes per velocity layer, written as sample slots. Takes differ in
+ *     free-running oscillator and LFO phase (unless the patch syncs them to key-on) and in S&H and random pitch values.
+ * @param {string} [options.strategy=SlotStrategy.Forward] - How the Tonverk picks between takes, see SlotStrategy
+ * @param {boolean} [options.loop=false] - Find a sustain loop in the key-on part of every sample, written to the
+ *     .elmulti slots and the WAV smpl chunk so that held notes sustain. Samples without a matching loop play once.
+ * @param {number} [options.crossfadeMs=0] - Crossfade baked into the end of each loop, in milliseconds
+ * @param {string} [options.normalization=Normalization.NotePeak] - How levels are set, see Normalization. The global
+ *     modes keep the patch's key-to-level response (keyboard level scaling) and the balance of velocity layers.
+ * @param {number} [options.targetLoudness=-18] - Integrated loudness in LUFS of Normalization.Loudness
+ * @param {number} [options.truePeakCeiling=-1] - Highest true peak in dBTP of Normalization.Loudness
+ * @param {string} [options.format=SampleFormat.Float32] - WAV sample format, see SampleFormat
+ * @param {boolean} [options.dither=true] - TPDF dither for the integer formats
+ * @param {boolean} [options.noiseShaping=false] - Shape the dither noise of the integer formats towards high frequencies
+ * @param {function({name: string, samples: number, peak: number})} [options.onClip] - Called for each multisample
+ *     with samples beyond full scale (clamped in the integer formats), e.g. with Normalization.None
  * @returns {Promise<Blob>} - ZIP file blob
  */
-export async function generateMultisample(patch, midiNotes, sampleRate, durationMs) {
-    const name = tonverkSanitize(patch.getName());
+export async function generateMultisample(patch, midiNotes, sampleRate, durationMs, {
+    name = tonverkSanitize(patch.getName()),
+    tuning = null,
+    seed,
+    velocities = [127],
+    takes = 1,
+    strategy = SlotStrategy.Forward,
+    loop = false,
+    crossfadeMs = 0,
+    normalization = Normalization.NotePeak,
+    targetLoudness = -18,
+    truePeakCeiling = -1,
+    format = SampleFormat.Float32,
+    dither = true,
+    noiseShaping = false,
+    onClip = null,
+} = {}) {
+    const zip = await createZip();
+    addMultisample(zip, patch, name, midiNotes, sampleRate, durationMs, {
+        tuning,
+        seed,
+        velocities,
+        takes,
+        strategy,
+        loop,
+        crossfadeMs,
+        normalization,
+        targetLoudness,
+        truePeakCeiling,
+        format,
+        dither,
+        noiseShaping,
+        onClip,
+    });
+    return await zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Generate one archive holding a multisample for each step of a morph
+ * between two patches
+ * @param {Patch} a - First patch
+ * @param {Patch} b - Last patch
+ * @param {number} steps - Number of morph steps, both patches included
+ * @param {Array<number>} midiNotes - Array of MIDI note numbers to sample
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Key-on duration in milliseconds
+ * @param {Object} [options]
+ * @param {Tuning} [options.tuning] - Microtuning, see generateMultisample
+ * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch, see generateMultisample
+ * @param {Array<number>} [options.velocities=[127]] - MIDI velocities of the velocity layers, see generateMultisample
+ * @param {number} [options.takes=1] - Round-robin takes per velocity layer, see generateMultisample
+ * @param {string} [options.strategy=SlotStrategy.Forward] - How the Tonverk picks between takes, see SlotStrategy
+ * @param {boolean} [options.loop=false] - Find sustain loops, see generateMultisample
+ * @param {number} [options.crossfadeMs=0] - Crossfade baked into the end of each loop, in milliseconds
+ * @param {string} [options.normalization=Normalization.NotePeak] - How levels are set for each step, see Normalization
+ * @param {number} [options.targetLoudness=-18] - Integrated loudness in LUFS of Normalization.Loudness
+ * @param {number} [options.truePeakCeiling=-1] - Highest true peak in dBTP of Normalization.Loudness
+ * @param {string} [options.format=SampleFormat.Float32] - WAV sample format, see SampleFormat
+ * @param {boolean} [options.dither=true] - TPDF dither for the integer formats
+ * @param {boolean} [options.noiseShaping=false] - Shape the dither noise of the integer formats, see generateMultisample
+ * @param {function({name: string, samples: number, peak: number})} [options.onClip] - Called for each step with
+ *     samples beyond full scale, see generateMultisample
+ * @returns {Promise<Blob>} - ZIP file blob with one folder per step
+ */
+export async function generateMorphMultisamples(a, b, steps, midiNotes, sampleRate, durationMs, {
+    tuning = null,
+    seed,
+    velocities = [127],
+    takes = 1,
+    strategy = SlotStrategy.Forward,
+    loop = false,
+    crossfadeMs = 0,
+    normalization = Normalization.NotePeak,
+    targetLoudness = -18,
+    truePeakCeiling = -1,
+    format = SampleFormat.Float32,
+    dither = true,
+    noiseShaping = false,
+    onClip = null,
+} = {}) {
+    const zip = await createZip();
+    for (const patch of morphSteps(a, b, steps)) {
+        addMultisample(zip, patch, tonverkSanitize(patch.getName()), midiNotes, sampleRate, durationMs, {
+            tuning,
+            seed,
+            velocities,
+            takes,
+            strategy,
+            loop,
+            crossfadeMs,
+            normalization,
+            targetLoudness,
+            truePeakCeiling,
+            format,
+            dither,
+            noiseShaping,
+            onClip,
+        });
+    }
+    return await zip.generateAsync({ type: 'blob' });
+}
 
-    // Use a Map to store buffers, keyed by MIDI note (mimics Rust's BTreeMap)
+/**
+ * Generate an archive with one WAV file per operator stem of a note
+ * @param {Patch} patch - DX7 patch
+ * @param {number} midiNote - MIDI note number to render
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} durationMs - Key-on duration in milliseconds
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the folder and files, the sanitized patch name if omitted
+ * @param {Array<number>} [options.operators] - Operator numbers to export, all if omitted
+ * @param {Tuning} [options.tuning] - Microtuning, 12-TET at A4 = 440 Hz if omitted
+ * @param {number} [options.seed] - Seed for the S&H LFO and DX7II random pitch
+ * @returns {Promise<Blob>} - ZIP file blob
+ */
+export async function generateStems(patch, midiNote, sampleRate, durationMs, {
+    name = tonverkSanitize(patch.getName()),
+    operators,
+    tuning,
+    seed,
+} = {}) {
+    // Target level: 0.5 for the loudest stem, like multisamples
+    const TARGET_LEVEL = 0.5;
+    const stems = generateOperatorStems(patch, midiNote, sampleRate, durationMs, {
+        operators,
+        targetLevel: TARGET_LEVEL,
+        tuning,
+        seed,
+    });
+
+    const zip = await createZip();
+    const folder = zip.folder(`${name} stems`);
+    for (const [number, samples] of stems) {
+        folder.file(`${name} OP${number}.wav`, generateWav([samples], sampleRate));
+    }
+    return await zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Creates an empty archive, with the JSZip global of pages that load it from
+ * a script tag and with the jszip package otherwise
+ */
+async function createZip() {
+    const JSZip = globalThis.JSZip || (await import('jszip')).default;
+    return new JSZip();
+}
+
+/**
+ * Render a patch and add its WAV and .elmulti files to a folder of the archive
+ */
+function addMultisample(zip, patch, name, midiNotes, sampleRate, durationMs, {
+    tuning,
+    seed,
+    velocities,
+    takes,
+    strategy,
+    loop,
+    crossfadeMs,
+    normalization,
+    targetLoudness,
+    truePeakCeiling,
+    format,
+    dither,
+    noiseShaping,
+    onClip,
+}) {
+    for (const velocity of velocities) {
+        if (!Number.isInteger(velocity) || velocity < 1 || velocity > 127) {
+            throw new Error(`Invalid velocity ${velocity}. Must be 1-127.`);
+        }
+    }
+    if (velocities.length === 0) {
+        throw new Error('At least one velocity layer is needed');
+    }
+    const layerVelocities = Array.from(new Set(velocities)).sort((a, b) => a - b);
+    if (!Number.isInteger(takes) || takes < 1) {
+        throw new Error(`Invalid number of takes ${takes}. Must be at least 1.`);
+    }
+    if (!Object.values(Normalization).includes(normalization)) {
+        throw new Error(`Unknown normalization ${normalization}`);
+    }
+
+    // Use a Map to store the take buffers of each velocity layer, keyed by
+    // MIDI note (mimics Rust's BTreeMap)
     const bufs = new Map();
 
     // Target level: 0.5 for polyphonic playback headroom
     const TARGET_LEVEL = 0.5;
 
-    for (const midiNote of midiNotes) {
-        const buf = generateSamples(patch, midiNote, sampleRate, durationMs, TARGET_LEVEL);
-        bufs.set(midiNote, buf);
+    const mappedNotes = tuning === null ? midiNotes : midiNotes.filter(note => tuning.isMapped(note));
+    if (mappedNotes.length === 0) {
+        throw new Error('None of the MIDI notes are mapped by the tuning');
+    }
+
+    for (const midiNote of mappedNotes) {
+        const layers = layerVelocities.map(velocity => Array.from({ length: takes }, (_, take) =>
+            generateSamples(patch, midiNote, sampleRate, durationMs, null, {
+                tuning,
+                seed,
+                velocity: velocity / 127,
+                take,
+            })
+        ));
+        bufs.set(midiNote, layers);
+    }
+
+    const buffers = Array.from(bufs.values()).flat(2);
+    switch (normalization) {
+        case Normalization.NotePeak:
+            // Velocity layers and takes of a zone share its gain
+            for (const layers of bufs.values()) {
+                normalizePeak(layers.flat(), TARGET_LEVEL);
+            }
+            break;
+        case Normalization.GlobalPeak:
+            normalizePeak(buffers, TARGET_LEVEL);
+            break;
+        case Normalization.Loudness:
+            normalizeLoudness(buffers, sampleRate, targetLoudness, truePeakCeiling);
+            break;
     }
 
     // Find the longest buffer
     let maxLength = 0;
-    for (const buf of bufs.values()) {
+    for (const buf of buffers) {
         if (buf.length > maxLength) maxLength = buf.length;
     }
 
     // Sort pitches in ascending order (mimics BTreeMap iteration order)
     const sortedPitches = Array.from(bufs.keys()).sort((a, b) => a - b);
 
-    // Build ordered pitch buffers and zones
+    // Loops stay within the key-on part of each sample
+    const keyOnSamples = Math.floor((durationMs / 1000) * sampleRate);
+    const crossfadeSamples = Math.round((crossfadeMs / 1000) * sampleRate);
+
+    // Build ordered pitch buffers, zones and loops
     const pitchBuffers = [];
     const zones = [];
+    const loops = [];
     let runningSampleCount = 0;
 
     for (const pitch of sortedPitches) {
-        const buf = bufs.get(pitch);
-        pitchBuffers.push(buf);
-
-        const start = runningSampleCount;
-        const end = start + maxLength;
-        runningSampleCount = end;
-
-        zones.push({ pitch, start, end });
+        const layers = bufs.get(pitch).map((takeBuffers, layerIndex) => {
+            const slots = takeBuffers.map(buf => {
+                pitchBuffers.push(buf);
+
+                const start = runningSampleCount;
+                const end = start + maxLength;
+                runningSampleCount = end;
+
+                const sustainLoop = loop ? findLoop(buf, keyOnSamples) : null;
+                if (sustainLoop === null) {
+                    return { start, end };
+                }
+
+                crossfadeLoop(buf, sustainLoop, crossfadeSamples);
+                const loopStart = start + sustainLoop.start;
+                const loopEnd = start + sustainLoop.end;
+                loops.push({ start: loopStart, end: loopEnd });
+                return { start, end, loopStart, loopEnd };
+            });
+
+            return { velocity: layerVelocities[layerIndex], slots };
+        });
+
+        zones.push({ pitch, layers });
     }
 
     // Generate WAV file
-    const wavData = generateWav(pitchBuffers, sampleRate);
+    const wavData = generateWav(pitchBuffers, sampleRate, {
+        loops,
+        format,
+        dither,
+        noiseShaping,
+        seed,
+        onClip: onClip && (clip => onClip({ name, ...clip })),
+    });
 
     // Generate TOML file
-    const tomlData = generateElmulti(name, zones);
+    const tomlData = generateElmulti(name, zones, { strategy });
 
-    // Create ZIP archive
-    const zip = new JSZip();
+    // Add to ZIP archive
     const folder = zip.folder(name);
     folder.file(`${name}.wav`, wavData);
     folder.file(`${name}.elmulti`, tomlData);
+}
 
-    return await zip.generateAsync({ type: 'blob' });
+/**
+ * Scales buffers in place by one factor, so that the loudest peak reaches the
+ * target level and the others keep their balance
+ */
+function normalizePeak(buffers, targetLevel) {
+    let peak = 0.0;
+    for (const buf of buffers) {
+        for (let i = 0; i < buf.length; i++) {
+            const abs = Math.abs(buf[i]);
+            if (abs > peak) peak = abs;
+        }
+    }
+
+    if (peak > 0) {
+        const normalizeFactor = targetLevel / peak;
+        for (const buf of buffers) {
+            for (let i = 0; i < buf.length; i++) {
+                buf[i] *= normalizeFactor;
+            }
+        }
+    }
+}
+
+/**
+ * Scales buffers in place by one factor, so that together they reach the
+ * target integrated loudness without their true peak exceeding the ceiling
+ */
+function normalizeLoudness(buffers, sampleRate, targetLoudness, truePeakCeiling) {
+    const loudness = integratedLoudness(buffers, sampleRate);
+    const peak = truePeak(buffers);
+    if (loudness === -Infinity || peak === 0) {
+        return;
+    }
+
+    const gain = Math.min(
+        Math.pow(10.0, (targetLoudness - loudness) / 20.0),
+        Math.pow(10.0, truePeakCeiling / 20.0) / peak
+    );
+    for (const buf of buffers) {
+        for (let i = 0; i < buf.length; i++) {
+            buf[i] *= gain;
+        }
+    }
 }
@@ -3,15 +3,27 @@
  * Simple test to verify the complete DX7 synthesis pipeline
  */
 
-import { readFileSync } from 'fs';
-import { PatchBank, generateSamples } from './src/dx7.js';
+import { readdirSync, readFileSync } from 'fs';
+import JSZip from 'jszip';
+import {
+    ControllerRouting, FunctionSettings, Patch, PatchBank, PortamentoMode, Synth, Tuning, VOICE_SYSEX_SIZE,
+    VoiceStealing, compareBanks, crossfadeLoop, diffPatches, extractSysexFromMidiFile, findLoop, generateOperatorStems,
+    generateSamples, integratedLoudness, loadSysex, morphBank, morphPatches, morphSteps, mutatePatch, parseKbm,
+    parseScl, patchDistance, probeSamples, randomPatch, truePeak, variationBank,
+} from './src/dx7.js';
+import { Algorithms } from './src/fm/algorithms.js';
+import { sysexChecksum } from './src/fm/patch.js';
+import { MidiInput } from './src/midi.js';
+import {
+    Normalization, SampleFormat, SlotStrategy, generateElmulti, generateMultisample, generateWav, tonverkSanitize,
+} from './src/tv7.js';
 
 console.log('Testing DX7 synthesis engine...\n');
 
 try {
     // Read SYSEX file
     console.log('1. Reading SYSEX file...');
-    const sysexData = readFileSync('./star1-fast-decay.syx');
+    const sysexData = readFileSync('./examples/ROM1A.syx');
     console.log(`   ✓ Loaded ${sysexData.length} bytes`);
 
     // Parse patch bank
@@ -62,6 +74,1114 @@ try {
     console.log(`   Mean: ${mean.toFixed(6)}`);
     console.log(`   RMS: ${rms.toFixed(6)}`);
 
+    // Follow the pitch of a mono voice block by block
+    console.log('\n7. Testing mono mode and portamento...');
+    const trajectory = (settings, play) => {
+        const synth = new Synth(patch, sampleRate, { functionSettings: settings });
+        play(synth);
+        const block = new Float32Array(24);
+        const pitches = [];
+        while (synth.time < sampleRate) {
+            synth.process(block);
+            pitches.push(synth.voices[0].parameters.note);
+        }
+        return pitches;
+    };
+    const secondNoteBlock = Math.floor(4410 / 24);
+    const legato = (synth) => {
+        synth.noteOn(48, 1.0, 0);
+        synth.noteOn(60, 1.0, 4410);
+    };
+    const detached = (synth) => {
+        synth.noteOn(48, 1.0, 0);
+        synth.noteOff(48, 2205);
+        synth.noteOn(60, 1.0, 4410);
+    };
+
+    const settings = new FunctionSettings();
+    settings.mono = true;
+    settings.portamentoTime = 50;
+    const glide = trajectory(settings, legato).slice(secondNoteBlock);
+    const rising = glide.every((p, i) => i === 0 || p >= glide[i - 1]);
+    console.log(`   Glide: ${glide[0].toFixed(2)} -> ${glide[glide.length - 1].toFixed(2)}`);
+    if (!rising || glide[0] >= 49 || glide[glide.length - 1] !== 60) {
+        throw new Error('Legato portamento should glide from 48 up to 60');
+    }
+
+    settings.portamentoStep = 1;
+    const steps = trajectory(settings, legato).slice(secondNoteBlock);
+    console.log(`   Glissando notes: ${[...new Set(steps)].join(' ')}`);
+    if (!steps.every(Number.isInteger) || new Set(steps).size !== 13) {
+        throw new Error('Glissando should step through every semitone from 48 to 60');
+    }
+
+    settings.portamentoStep = 0;
+    const fingered = trajectory(settings, detached).slice(secondNoteBlock);
+    settings.portamentoMode = PortamentoMode.FullTime;
+    const fullTime = trajectory(settings, detached).slice(secondNoteBlock);
+    console.log(`   Detached note starts at ${fingered[0].toFixed(2)} (fingered), ${fullTime[0].toFixed(2)} (full time)`);
+    if (fingered[0] !== 60 || fullTime[0] >= 49) {
+        throw new Error('Fingered portamento should only glide between legato notes');
+    }
+    console.log('   ✓ Pitch trajectories match the function settings');
+
+    // Parse Scala files and map keys to pitches
+    console.log('\n8. Testing microtuning...');
+    const scl = parseScl([
+        '! just.scl',
+        '!',
+        'Just major',
+        ' 3',
+        ' 5/4',
+        ' 701.955 ! perfect fifth',
+        ' 2',
+    ].join('\n'));
+    const expectedCents = [1200 * Math.log2(5 / 4), 701.955, 1200];
+    if (scl.description !== 'Just major' || !scl.pitches.every((cents, i) => Math.abs(cents - expectedCents[i]) < 1e-9)) {
+        throw new Error(`Unexpected scale ${JSON.stringify(scl)}`);
+    }
+    const kbm = parseKbm([
+        '! white keys only',
+        '12', '0', '127', '60', '69', '440.0', '7',
+        '0', 'x', '1', 'x', '2', '3', 'x', '4', 'x', '5', 'x', '6',
+    ].join('\n'));
+    if (kbm.size !== 12 || kbm.octaveDegree !== 7 || kbm.mapping[1] !== null || kbm.mapping[11] !== 6) {
+        throw new Error(`Unexpected keyboard mapping ${JSON.stringify(kbm)}`);
+    }
+    const whiteKeys = new Tuning({ keyboardMapping: kbm });
+    if (whiteKeys.isMapped(61) || !whiteKeys.isMapped(62) || whiteKeys.pitch(61) !== whiteKeys.pitch(60) + 1) {
+        throw new Error('Unmapped keys should be silent and follow the mapped key below them');
+    }
+
+    const keys = Array.from({ length: 128 }, (_, key) => key);
+    const identity = new Tuning();
+    if (!keys.every(key => Math.abs(identity.pitch(key) - key) < 1e-9)) {
+        throw new Error('The default tuning should map every key to itself');
+    }
+    const shift = 12 * Math.log2(432 / 440);
+    const a432 = new Tuning({ masterTune: 432 });
+    console.log(`   A4 = 432 Hz shifts keys by ${shift.toFixed(4)} semitones`);
+    if (!keys.every(key => Math.abs(a432.pitch(key) - key - shift) < 1e-9) || Math.abs(a432.frequency(69) - 432) > 1e-9) {
+        throw new Error('Master tune should shift every key by the same interval');
+    }
+    console.log('   ✓ Scala files and master tune map keys to the expected pitches');
+
+    // Check envelope timings with the telemetry probe
+    console.log('\n9. Testing probe telemetry...');
+    const { samples: probed, probe } = probeSamples(patch, midiNote, sampleRate, durationMs);
+    const keyOff = Math.floor((durationMs / 1000) * sampleRate);
+    const releaseTimes = probe.operators.map(op => probe.time[op.stage.findIndex((stage, i) => i > 0 && stage === 3)]);
+    console.log(`   ${probe.time.length} blocks, release starts at ${releaseTimes.join(', ')}`);
+    if (probed.length !== samples.length || !releaseTimes.every(time => time === keyOff)) {
+        throw new Error(`Every operator envelope should enter its release stage at sample ${keyOff}`);
+    }
+    console.log('   ✓ Envelopes release at key-off');
+
+    // Parsing and packing every example bank must give back the same bytes
+    console.log('\n10. Testing bank round trips...');
+    const banks = readdirSync('./examples').filter(file => file.toLowerCase().endsWith('.syx')).sort();
+    for (const file of banks) {
+        const bytes = readFileSync(`./examples/${file}`);
+        const packed = new PatchBank(bytes).toSysex();
+        if (!packed.every((byte, i) => byte === bytes[i]) || packed.length !== bytes.length) {
+            throw new Error(`${file} does not round trip byte for byte`);
+        }
+    }
+    console.log(`   ✓ ${banks.length} banks round trip byte for byte`);
+
+    // Single voice (VCED) dumps must carry every parameter of the bank patches
+    let voices = 0;
+    for (const file of banks) {
+        for (const bankPatch of new PatchBank(readFileSync(`./examples/${file}`)).patches) {
+            const voiceBytes = bankPatch.packVoice();
+            const message = bankPatch.toVoiceSysex(5);
+            const reparsed = Patch.fromVoiceSysex(message);
+            if (message[2] !== 5 || message[VOICE_SYSEX_SIZE - 2] !== sysexChecksum(voiceBytes)) {
+                throw new Error(`${file} ${bankPatch.getName()}: bad single voice header or checksum`);
+            }
+            if (!reparsed.packVoice().every((byte, i) => byte === voiceBytes[i])
+                || JSON.stringify(reparsed) !== JSON.stringify(bankPatch)) {
+                throw new Error(`${file} ${bankPatch.getName()} does not round trip through a single voice dump`);
+            }
+            voices++;
+        }
+    }
+    console.log(`   ✓ ${voices} patches round trip through single voice dumps`);
+
+    // Drive the MIDI router with a fake MIDIAccess and record what reaches the engine
+    console.log('\n11. Testing MIDI input routing...');
+    const calls = [];
+    const engine = {};
+    for (const method of ['noteOn', 'noteOff', 'allNotesOff', 'setSustain', 'setPitchBend', 'setController']) {
+        engine[method] = (...args) => calls.push([method, ...args]);
+    }
+    const listeners = new Set();
+    const device = {
+        id: 'in-1',
+        name: 'Fake keyboard',
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const access = { inputs: new Map([[device.id, device]]), onstatechange: null };
+    const send = (...bytes) => listeners.forEach(listener => listener({ data: new Uint8Array(bytes) }));
+    const sysexReceived = [];
+    const midi = new MidiInput(access, engine, { channel: 1, onSysex: data => sysexReceived.push(data) });
+    midi.select('in-1');
+
+    send(0x91, 60, 127);
+    send(0x91, 60, 0);
+    send(0x90, 62, 100);
+    send(0xE1, 0x00, 0x00);
+    send(0xE1, 0x00, 0x40);
+    send(0xE1, 0x7f, 0x7f);
+    send(0xB1, 64, 127);
+    send(0xB1, 64, 0);
+    send(0xF0, 0x43, 0x10, 0x01, 0x00, 0xF7);
+    send(0xF0, 0x41, 0x10, 0x42, 0xF7);
+    midi.select(null);
+    send(0x91, 64, 127);
+
+    const expected = [
+        ['noteOn', 60, 1],
+        ['noteOff', 60],
+        ['setPitchBend', -1],
+        ['setPitchBend', 0],
+        ['setPitchBend', 1],
+        ['setSustain', true],
+        ['setSustain', false],
+        ['allNotesOff'],
+    ];
+    console.log(`   ${calls.map(([method]) => method).join(', ')}`);
+    if (JSON.stringify(calls) !== JSON.stringify(expected)) {
+        throw new Error(`Unexpected engine calls ${JSON.stringify(calls)}`);
+    }
+    if (sysexReceived.length !== 1 || sysexReceived[0][1] !== 0x43) {
+        throw new Error('Only Yamaha SysEx messages should reach onSysex');
+    }
+    console.log('   ✓ Messages are filtered and routed to the engine');
+
+    // Scan a stream of good, damaged and foreign dumps in one go
+    console.log('\n12. Testing sysex loading...');
+    const channelBank = Uint8Array.from(sysexData);
+    channelBank[2] = 0x03;
+    const badChecksum = patchBank.patches[1].toVoiceSysex();
+    badChecksum[VOICE_SYSEX_SIZE - 2] ^= 0x01;
+    const badByteCount = patchBank.patches[2].toVoiceSysex();
+    badByteCount[4] = 0x01;
+    badByteCount[5] = 0x00;
+    const stream = [
+        [0x00, 0x01, 0x02],
+        channelBank,
+        badChecksum,
+        badByteCount,
+        [0xF0, 0x41, 0x10, 0x42, 0xF7],
+        sysexData.subarray(0, 6 + 3 * 128 + 50),
+    ];
+    const streamOffsets = [];
+    const streamBytes = new Uint8Array(stream.reduce((size, part) => {
+        streamOffsets.push(size);
+        return size + part.length;
+    }, 0));
+    stream.forEach((part, i) => streamBytes.set(part, streamOffsets[i]));
+
+    const loaded = loadSysex(streamBytes);
+    const loadedMessages = loaded.messages.map(m => `${m.format}@${m.offset}/${m.channel}:${m.patches}`);
+    const expectedMessages = [
+        `bank@${streamOffsets[1]}/3:32`,
+        `voice@${streamOffsets[2]}/0:1`,
+        `voice@${streamOffsets[3]}/0:1`,
+        `bank@${streamOffsets[5]}/0:3`,
+    ];
+    console.log(`   Messages: ${loadedMessages.join(', ')}`);
+    if (JSON.stringify(loadedMessages) !== JSON.stringify(expectedMessages)) {
+        throw new Error(`Unexpected messages ${JSON.stringify(loaded.messages)}`);
+    }
+    const expectedWarnings = [
+        { offset: 0, message: 'Skipped 3 bytes outside of a sysex message' },
+        { offset: streamOffsets[2], message: 'Checksum mismatch in voice dump' },
+        { offset: streamOffsets[3], message: 'Byte count 128 does not match voice size 155' },
+        { offset: streamOffsets[4], message: 'Skipped unsupported sysex message' },
+        { offset: streamOffsets[5], message: 'Truncated bank dump: 434 of 4096 bytes' },
+    ];
+    loaded.warnings.forEach(warning => console.log(`   Warning at ${warning.offset}: ${warning.message}`));
+    if (JSON.stringify(loaded.warnings) !== JSON.stringify(expectedWarnings)) {
+        throw new Error(`Unexpected warnings ${JSON.stringify(loaded.warnings)}`);
+    }
+    const loadedNames = loaded.patches.map(p => p.getName());
+    const expectedNames = [
+        ...patchBank.patches.map(p => p.getName()),
+        patchBank.patches[1].getName(),
+        patchBank.patches[2].getName(),
+        ...patchBank.patches.slice(0, 3).map(p => p.getName()),
+    ];
+    if (JSON.stringify(loadedNames) !== JSON.stringify(expectedNames)) {
+        throw new Error(`Unexpected patches ${loadedNames.join(', ')}`);
+    }
+    console.log(`   ✓ Recovered ${loaded.patches.length} patches and reported every problem`);
+
+    // Hide dumps among the events of a type 1 Standard MIDI File
+    console.log('\n13. Testing SysEx extraction from MIDI files...');
+    const varLength = (value) => {
+        const bytes = [value & 0x7f];
+        while ((value >>= 7) > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+        }
+        return bytes;
+    };
+    const chunk = (id, body, length = body.length) => [
+        ...[...id].map(c => c.charCodeAt(0)),
+        (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...body,
+    ];
+    const split = 2000;
+    const voiceDump = patchBank.patches[5].toVoiceSysex();
+    const firstTrack = [
+        0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,
+        0x00, 0x90, 60, 100,
+        0x10, 60, 0,
+        // Bank split over an F0 event and an F7 continuation, with notes in between
+        0x00, 0xF0, ...varLength(split - 1), ...sysexData.subarray(1, split),
+        0x20, 0x90, 62, 100,
+        0x10, 62, 0,
+        0x00, 0xF7, ...varLength(sysexData.length - split), ...sysexData.subarray(split),
+        0x00, 0xF0, ...varLength(voiceDump.length - 1), ...voiceDump.subarray(1),
+        0x00, 0xFF, 0x2F, 0x00,
+    ];
+    // The file ends halfway through the voice dump of the second track
+    const secondTrack = [0x00, 0xC0, 0x05, 0x00, 0xF0, ...varLength(voiceDump.length - 1), ...voiceDump.subarray(1, 100)];
+    const midiFile = new Uint8Array([
+        ...chunk('MThd', [0x00, 0x01, 0x00, 0x02, 0x00, 0x60]),
+        ...chunk('XFIH', [0x01, 0x02, 0x03]),
+        ...chunk('MTrk', firstTrack),
+        ...chunk('MTrk', secondTrack, secondTrack.length + 100),
+    ]);
+
+    const extracted = extractSysexFromMidiFile(midiFile);
+    console.log(`   Extracted messages of ${extracted.map(message => message.length).join(', ')} bytes`);
+    const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+    if (extracted.length !== 3 || !sameBytes(extracted[0], sysexData) || !sameBytes(extracted[1], voiceDump)
+        || !sameBytes(extracted[2], voiceDump.subarray(0, 100))) {
+        throw new Error('Running status, continuation events and truncation should not lose SysEx bytes');
+    }
+    const midiBank = PatchBank.fromFile(midiFile);
+    if (!sameBytes(midiBank.toSysex(), sysexData)) {
+        throw new Error('PatchBank.fromFile should load the bank held in a MIDI file');
+    }
+    const midiLoaded = loadSysex(midiFile);
+    const midiWarnings = midiLoaded.warnings.map(warning => warning.message);
+    if (midiLoaded.patches.length !== 33 || JSON.stringify(midiWarnings) !== '["Truncated voice dump: 94 of 155 bytes"]') {
+        throw new Error(`Unexpected MIDI file load ${midiLoaded.patches.length} patches, ${JSON.stringify(midiWarnings)}`);
+    }
+    console.log('   ✓ Dumps are rebuilt from MIDI events and the truncated one is reported');
+
+    // The same DX21 voice as a bank (VMEM) entry and as a single voice (VCED) dump
+    console.log('\n14. Testing 4-op patches...');
+    const fourOpName = [...'DX21 TEST '].map(c => c.charCodeAt(0));
+    const fourOpLevels = [90, 85, 80, 99]; // OP4, OP2, OP3, OP1, in SysEx order
+    const vmem = new Uint8Array(128);
+    const vced = new Uint8Array(93);
+    fourOpLevels.forEach((level, i) => {
+        vmem.set([31, 20, 0, 7, 12, 10, (1 << 6) | 3, level, 4, (1 << 3) | 3], i * 10);
+        vced.set([31, 20, 0, 7, 12, 10, 1, 0, 1, 3, level, 4, 3], i * 13);
+    });
+    vmem.set([(1 << 6) | (5 << 3) | 4, 35, 10, 5, 20, (3 << 4) | (2 << 2) | 2, 24], 40);
+    vmem.set(fourOpName, 57);
+    vced.set([4, 5, 35, 10, 5, 20, 1, 2, 3, 2, 24], 52);
+    vced.set(fourOpName, 77);
+
+    const checksummed = (header, payload) => new Uint8Array([...header, ...payload, sysexChecksum(payload), 0xF7]);
+    const bank4 = new Uint8Array(32 * 128);
+    bank4.set(vmem, 0);
+    const fourOpLoaded = loadSysex(new Uint8Array([
+        ...checksummed([0xF0, 0x43, 0x00, 0x04, 0x20, 0x00], bank4),
+        ...checksummed([0xF0, 0x43, 0x00, 0x03, 0x00, 0x5D], vced),
+    ]));
+    const fromBank = fourOpLoaded.patches[0];
+    const fromVoice = fourOpLoaded.patches[32];
+    console.log(`   ${fourOpLoaded.messages.map(m => `${m.format}:${m.patches}`).join(', ')}`);
+    if (fourOpLoaded.warnings.length > 0 || fourOpLoaded.patches.length !== 33) {
+        throw new Error(`Unexpected 4-op load ${JSON.stringify(fourOpLoaded.messages)} ${JSON.stringify(fourOpLoaded.warnings)}`);
+    }
+    if (JSON.stringify(fromBank) !== JSON.stringify(fromVoice)) {
+        throw new Error('The VMEM and VCED layouts of the same 4-op voice should give the same patch');
+    }
+    const fourOpJson = fromBank.toJSON();
+    const levelsByNumber = fourOpJson.operators.map(o => o.level);
+    if (fourOpJson.name !== 'DX21 TEST ' || fourOpJson.algorithm !== 4 || fourOpJson.feedback !== 5
+        || JSON.stringify(levelsByNumber) !== '[99,85,80,90]' || fourOpJson.operators.some(o => o.detune !== 7)) {
+        throw new Error(`Unexpected 4-op patch ${JSON.stringify(fourOpJson)}`);
+    }
+
+    // Carriers of the 8 four-op algorithms, by operator number
+    const fourOpCarriers = [[1], [1], [1], [1], [1, 3], [1, 2, 3], [1, 2, 3], [1, 2, 3, 4]];
+    const fourOpAlgorithms = new Algorithms(4);
+    const fourOpRms = new Set();
+    fourOpCarriers.forEach((carriers, algorithm) => {
+        const found = [1, 2, 3, 4].filter(number => !fourOpAlgorithms.isModulator(algorithm, 4 - number));
+        if (JSON.stringify(found) !== JSON.stringify(carriers)) {
+            throw new Error(`4-op algorithm ${algorithm + 1} has carriers ${found.join(', ')}`);
+        }
+        fromBank.algorithm = algorithm;
+        const rendered = generateSamples(fromBank, midiNote, sampleRate, 200);
+        const algorithmRms = Math.sqrt(rendered.reduce((total, s) => total + s * s, 0) / rendered.length);
+        if (!Number.isFinite(algorithmRms) || algorithmRms < 0.01) {
+            throw new Error(`4-op algorithm ${algorithm + 1} renders silence`);
+        }
+        fourOpRms.add(algorithmRms.toFixed(6));
+    });
+    if (fourOpRms.size !== fourOpCarriers.length) {
+        throw new Error('Every 4-op algorithm should sound different');
+    }
+    console.log('   ✓ VMEM and VCED agree and all 8 algorithms route and render');
+
+    // The same DX7II supplement as a packed (AMEM) record and as unpacked (ACED) bytes
+    console.log('\n15. Testing DX7II supplements...');
+    const controllerBytes = Array.from({ length: 24 }, (_, j) => 10 + j);
+    controllerBytes[15] = 0x78 | 5; // Pitch envelope rate scaling only keeps its low 3 bits
+    const amem = new Uint8Array([
+        0b100101, 1 | (2 << 3), 3 | (4 << 3), 5 | (6 << 3),
+        2 | (1 << 2) | (1 << 3) | (3 << 4), 7, 3, 2 | (5 << 2), 1 | (4 << 1), 40,
+        ...controllerBytes,
+        6 | (1 << 3),
+    ]);
+    const aced = new Uint8Array([
+        1, 0, 1, 0, 0, 1, 1, 2, 3, 4, 5, 6,
+        2, 1, 1, 3, 7, 3, 2, 5, 1, 4, 40,
+        ...controllerBytes,
+        6, 1,
+    ]);
+    const fromAmem = Patch.fromBytes(patch.pack());
+    fromAmem.unpackSupplement(amem);
+    const fromAced = Patch.fromBytes(patch.pack());
+    fromAced.unpackSupplementVoice(aced);
+    const supplementJson = fromAmem.toJSON().supplement;
+    console.log(`   Pitch envelope rate scaling ${supplementJson.pitchEnvelopeRateScaling}, `
+        + `breath pitch bias ${supplementJson.breathPitchBias}, poly mode ${supplementJson.polyMode}`);
+    if (JSON.stringify(supplementJson) !== JSON.stringify(fromAced.toJSON().supplement)) {
+        throw new Error('The AMEM and ACED layouts of the same supplement should give the same parameters');
+    }
+    if (supplementJson.pitchEnvelopeRateScaling !== 5 || supplementJson.breathPitchBias !== 20
+        || supplementJson.midiControlVolume !== 33 || supplementJson.unisonDetune !== 6 || supplementJson.foot1AsCs1 !== 1
+        || JSON.stringify(supplementJson.scalingMode) !== '[1,0,0,1,0,1]'
+        || JSON.stringify(supplementJson.ampModSensitivity) !== '[6,5,4,3,2,1]') {
+        throw new Error(`Unexpected supplement ${JSON.stringify(supplementJson)}`);
+    }
+
+    // A supplement bank applies to the voice bank on either side of it
+    const amemBank = new Uint8Array(32 * 35);
+    amemBank.set(amem, 0);
+    const amemDump = checksummed([0xF0, 0x43, 0x00, 0x06, 0x08, 0x60], amemBank);
+    for (const order of [[amemDump, sysexData], [sysexData, amemDump]]) {
+        const supplemented = loadSysex(new Uint8Array([...order[0], ...order[1]]));
+        const first = supplemented.patches[0].toJSON();
+        if (supplemented.warnings.length > 0 || supplemented.patches.length !== 32
+            || JSON.stringify(first.supplement) !== JSON.stringify(supplementJson)
+            || supplemented.patches[1].toJSON().supplement.pitchBendRange !== 0) {
+            throw new Error(`AMEM dump was not applied to its bank ${JSON.stringify(supplemented.warnings)}`);
+        }
+    }
+    console.log('   ✓ AMEM and ACED agree and AMEM dumps attach to their bank');
+
+    // Check JSON exports against patch.schema.json, with just the keywords the schema uses
+    console.log('\n16. Testing patch JSON...');
+    const schema = JSON.parse(readFileSync('./src/fm/patch.schema.json', 'utf8'));
+    const isType = {
+        integer: Number.isInteger,
+        string: value => typeof value === 'string',
+        boolean: value => typeof value === 'boolean',
+        array: Array.isArray,
+        object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    };
+    const schemaErrors = (node, value, path = '$') => {
+        const errors = [];
+        if (node.$ref) {
+            const target = node.$ref.split('/').slice(1).reduce((parent, key) => parent[key], schema);
+            errors.push(...schemaErrors(target, value, path));
+        }
+        if (node.type && !isType[node.type](value)) {
+            return [...errors, `${path} should be of type ${node.type}`];
+        }
+        if (node.minimum !== undefined && value < node.minimum) {
+            errors.push(`${path} should be >= ${node.minimum}`);
+        }
+        if (node.maximum !== undefined && value > node.maximum) {
+            errors.push(`${path} should be <= ${node.maximum}`);
+        }
+        if (node.maxLength !== undefined && value.length > node.maxLength) {
+            errors.push(`${path} is too long`);
+        }
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                errors.push(`${path} has too few items`);
+            }
+            if (node.maxItems !== undefined && value.length > node.maxItems) {
+                errors.push(`${path} has too many items`);
+            }
+            if (node.items) {
+                value.forEach((item, i) => errors.push(...schemaErrors(node.items, item, `${path}[${i}]`)));
+            }
+        }
+        if (isType.object(value)) {
+            for (const key of node.required ?? []) {
+                if (!(key in value)) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (node.properties?.[key]) {
+                    errors.push(...schemaErrors(node.properties[key], item, `${path}.${key}`));
+                } else if (node.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not allowed`);
+                }
+            }
+        }
+        for (const sub of node.allOf ?? []) {
+            errors.push(...schemaErrors(sub, value, path));
+        }
+        if (node.if && node.then && schemaErrors(node.if, value, path).length === 0) {
+            errors.push(...schemaErrors(node.then, value, path));
+        }
+        if (node.not && schemaErrors(node.not, value, path).length === 0) {
+            errors.push(`${path} matches a forbidden schema`);
+        }
+        return errors;
+    };
+
+    const bankJson = patchBank.toJSON();
+    const exported = [...bankJson.patches, fromAmem.toJSON(), fromBank.toJSON()];
+    const schemaProblems = [
+        ...schemaErrors(schema.$defs.bank, bankJson),
+        ...exported.flatMap(json => schemaErrors(schema, json)),
+    ];
+    if (schemaProblems.length > 0) {
+        throw new Error(`Exported JSON does not follow patch.schema.json: ${schemaProblems.slice(0, 5).join(', ')}`);
+    }
+    if (schemaErrors(schema, { ...fromBank.toJSON(), algorithm: 8 }).length === 0
+        || schemaErrors(schema, { ...patch.toJSON(), extra: 1 }).length === 0) {
+        throw new Error('patch.schema.json should reject out-of-range and unknown fields');
+    }
+    console.log(`   ✓ ${exported.length} exported patches and the bank follow patch.schema.json`);
+
+    for (const json of exported) {
+        if (JSON.stringify(Patch.fromJSON(JSON.stringify(json))) !== JSON.stringify(json)) {
+            throw new Error(`${json.name} does not round trip through JSON`);
+        }
+    }
+    if (JSON.stringify(PatchBank.fromJSON(JSON.stringify(bankJson))) !== JSON.stringify(bankJson)) {
+        throw new Error('The bank does not round trip through JSON');
+    }
+
+    // fromJSON must reject what the schema rejects, naming the offending field
+    const withOperator = (json, i, changes) => ({
+        ...json,
+        operators: json.operators.map((o, j) => (j === i ? { ...o, ...changes } : o)),
+    });
+    const invalidJson = [
+        [{ ...fromBank.toJSON(), algorithm: 8 }, 'Invalid patch JSON: algorithm must be an integer between 0 and 7'],
+        [{ ...patch.toJSON(), feedback: 1.5 }, 'Invalid patch JSON: feedback must be an integer between 0 and 7'],
+        [{ ...patch.toJSON(), name: 'TOO LONG NAME' }, 'Invalid patch JSON: name must be a string of at most 10 characters'],
+        [{ ...patch.toJSON(), operators: patch.toJSON().operators.slice(0, 5) },
+            'Invalid patch JSON: operators must be an array of 6 or 4 operators'],
+        [withOperator(patch.toJSON(), 1, { number: 1 }),
+            'Invalid patch JSON: operators[1].number must be a unique operator number between 1 and 6'],
+        [withOperator(patch.toJSON(), 2, { envelope: { rate: [99, 99, 99, 100], level: [99, 99, 99, 0] } }),
+            'Invalid patch JSON: operators[2].envelope.rate[3] must be an integer between 0 and 99'],
+        [{ ...patch.toJSON(), modulations: null }, 'Invalid patch JSON: modulations must be an object'],
+    ];
+    for (const [json, message] of invalidJson) {
+        let error = null;
+        try {
+            Patch.fromJSON(json);
+        } catch (e) {
+            error = e;
+        }
+        if (error === null || error.message !== message) {
+            throw new Error(`Expected "${message}", got ${error === null ? 'no error' : `"${error.message}"`}`);
+        }
+    }
+    console.log(`   ✓ Patches round trip through JSON and ${invalidJson.length} invalid patches are rejected`);
+
+    // Rename a patch, switch its algorithm and turn down its OP1 by a third of the range
+    console.log('\n17. Testing patch comparison...');
+    const edited = Patch.fromBytes(patch.pack());
+    edited.name = 'EDITED    '.split('');
+    edited.algorithm = (patch.algorithm + 1) % 32;
+    edited.op[5].level = patch.op[5].level - 33;
+    const differences = diffPatches(patch, edited);
+    console.log(`   ${differences.map(d => `${d.path}: ${d.oldValue} -> ${d.newValue} (${d.distance.toFixed(3)})`).join(', ')}`);
+    if (JSON.stringify(differences.map(d => [d.path, d.distance])) !== JSON.stringify([
+        ['name', 0], ['algorithm', 1], ['op1.level', 33 / 99],
+    ]) || Math.abs(patchDistance(patch, edited) - (1 + 33 / 99)) > 1e-12 || patchDistance(patch, patch) !== 0) {
+        throw new Error('Unexpected differences between the patch and its edit');
+    }
+    let mixedError = null;
+    try {
+        diffPatches(patch, fromBank);
+    } catch (e) {
+        mixedError = e;
+    }
+    if (mixedError === null) {
+        throw new Error('Diffing a 6-operator patch with a 4-operator patch should fail');
+    }
+
+    const renamed = Patch.fromBytes(patch.pack());
+    renamed.name = 'RENAMED   '.split('');
+    const nudged = Patch.fromBytes(patchBank.patches[2].pack());
+    nudged.op[5].level = patchBank.patches[2].op[5].level - 9;
+    const comparison = compareBanks([
+        { name: 'ROM1A', patches: patchBank.patches.slice(0, 4) },
+        { name: 'EDITS', patches: [renamed, nudged, patchBank.patches[1], fromBank] },
+    ], { threshold: 0.5 });
+    const refs = group => group.map(ref => `${ref.bank}:${ref.index}`).join('=');
+    console.log(`   Exact: ${comparison.exact.map(refs).join(', ')}; near: `
+        + `${comparison.near.map(pair => `${refs([pair.a, pair.b])} (${pair.distance.toFixed(3)})`).join(', ')}`);
+    if (JSON.stringify(comparison.exact.map(refs)) !== '["ROM1A:0=EDITS:0","ROM1A:1=EDITS:2"]'
+        || comparison.near.length !== 1 || refs([comparison.near[0].a, comparison.near[0].b]) !== 'ROM1A:2=EDITS:1'
+        || Math.abs(comparison.near[0].distance - 9 / 99) > 1e-12) {
+        throw new Error(`Unexpected bank comparison ${JSON.stringify(comparison)}`);
+    }
+    console.log('   ✓ Differences, distances and duplicates are found');
+
+    // The same seed must give back the same patch
+    console.log('\n18. Testing patch randomization...');
+    const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const random = randomPatch({ seed: 1234 });
+    if (!sameJson(random, randomPatch({ seed: 1234 })) || sameJson(random, randomPatch({ seed: 1235 }))) {
+        throw new Error('randomPatch should depend on its seed only');
+    }
+    const randomFourOp = randomPatch({ seed: 1234, numOperators: 4, algorithm: 3 });
+    if (randomFourOp.op.length !== 4 || randomFourOp.algorithm !== 3
+        || !sameJson(Patch.fromJSON(randomFourOp.toJSON()), randomFourOp)) {
+        throw new Error('randomPatch should honor the operator count and algorithm within valid ranges');
+    }
+    let algorithmError = null;
+    try {
+        randomPatch({ seed: 1234, numOperators: 4, algorithm: 8 });
+    } catch (e) {
+        algorithmError = e;
+    }
+    if (algorithmError === null || algorithmError.message !== 'Algorithm must be an integer between 0 and 7, got 8') {
+        throw new Error('randomPatch should reject algorithms the patch cannot use');
+    }
+
+    const patchJson = JSON.stringify(patch);
+    const mutated = mutatePatch(patch, { seed: 99, amount: 0.5, keepAlgorithm: true });
+    if (!sameJson(mutated, mutatePatch(patch, { seed: 99, amount: 0.5, keepAlgorithm: true }))
+        || sameJson(mutated, patch) || mutated.algorithm !== patch.algorithm || JSON.stringify(patch) !== patchJson) {
+        throw new Error('mutatePatch should be reproducible, keep the algorithm and leave its source untouched');
+    }
+    if (!sameJson(mutatePatch(patch, { seed: 99, amount: 0 }), patch)) {
+        throw new Error('A mutation amount of 0 should leave the patch unchanged');
+    }
+
+    const variations = variationBank(patch, { seed: 10, amount: 0.3 });
+    const recreated = mutatePatch(patch, { seed: 17, amount: 0.3 });
+    recreated.name = variations.patches[7].name;
+    console.log(`   Variation 8: ${variations.patches[7].getName()}, distance ${patchDistance(patch, recreated).toFixed(3)}`);
+    if (!sameJson(variations.patches[7], recreated)) {
+        throw new Error('Variation i should be recreated by mutatePatch with seed + i');
+    }
+    console.log('   ✓ Seeds reproduce random patches, mutations and variations');
+
+    // Morph from the supplemented first patch to a plain one
+    console.log('\n19. Testing patch morphing...');
+    const morphEnd = patchBank.patches[10];
+    const withoutName = (p) => ({ ...p.toJSON(), name: '' });
+    if (!sameJson(morphPatches(fromAmem, morphEnd, 0), fromAmem) || !sameJson(morphPatches(fromAmem, morphEnd, 1), morphEnd)) {
+        throw new Error('Morphs at t = 0 and t = 1 should equal their end patches');
+    }
+    const quarter = morphPatches(fromAmem, morphEnd, 0.25);
+    const threeQuarters = morphPatches(fromAmem, morphEnd, 0.75);
+    const expectedFeedback = Math.round(fromAmem.feedback + (morphEnd.feedback - fromAmem.feedback) * 0.25);
+    console.log(`   Algorithm ${quarter.algorithm} -> ${threeQuarters.algorithm}, feedback at t = 0.25: ${quarter.feedback}`);
+    if (quarter.algorithm !== fromAmem.algorithm || threeQuarters.algorithm !== morphEnd.algorithm
+        || quarter.feedback !== expectedFeedback || quarter.supplement === null || threeQuarters.supplement !== null) {
+        throw new Error('Discrete parameters and supplements should cross over at t = 0.5 and the rest blend');
+    }
+
+    const morphed = morphSteps(fromAmem, morphEnd, 5);
+    const bank = morphBank(fromAmem, morphEnd);
+    console.log(`   ${morphed.map(p => p.getName()).join(', ')}`);
+    if (morphed.length !== 5 || morphed[4].getName() !== `BRA-${morphEnd.getName().slice(0, 3)} 05`
+        || !sameJson(withoutName(morphed[0]), withoutName(fromAmem)) || !sameJson(withoutName(morphed[4]), withoutName(morphEnd))
+        || !sameJson(withoutName(bank.patches[0]), withoutName(fromAmem))
+        || !sameJson(withoutName(bank.patches[31]), withoutName(morphEnd))) {
+        throw new Error('The first and last morph steps should equal their end patches');
+    }
+    for (const [a, b, t] of [[patch, fromBank, 0.5], [patch, morphEnd, 1.5]]) {
+        let morphError = null;
+        try {
+            morphPatches(a, b, t);
+        } catch (e) {
+            morphError = e;
+        }
+        if (morphError === null) {
+            throw new Error(`Morphing ${a.getName()} to ${b.getName()} at ${t} should fail`);
+        }
+    }
+    console.log('   ✓ Morph endpoints equal their inputs');
+
+    // Play one note more than there are voices, and see which voice gives way
+    console.log('\n20. Testing voice stealing...');
+    const velocityPatch = Patch.fromBytes(patch.pack());
+    velocityPatch.op.forEach(o => {
+        o.velocitySensitivity = 7;
+    });
+    const voiceNotes = (stealing, play) => {
+        const synth = new Synth(velocityPatch, sampleRate, { polyphony: 3, stealing });
+        const block = new Float32Array(512);
+        for (const [type, note, velocity] of play) {
+            if (type === 'on') {
+                synth.noteOn(note, velocity);
+            } else {
+                synth.noteOff(note);
+            }
+            synth.process(block);
+        }
+        return JSON.stringify(synth.voices.map(v => (v.active ? v.note : null)));
+    };
+    const chord = [['on', 60, 1.0], ['on', 62, 1.0], ['on', 64, 1.0], ['on', 65, 1.0]];
+    const releasedChord = [['on', 60, 1.0], ['on', 62, 1.0], ['on', 64, 1.0], ['off', 62], ['on', 65, 1.0]];
+    const softChord = [['on', 60, 1.0], ['on', 62, 0.05], ['on', 64, 1.0], ['on', 65, 1.0]];
+    const repeated = [['on', 60, 1.0], ['on', 62, 1.0], ['on', 60, 1.0]];
+    const stealingCases = [
+        ['Oldest', VoiceStealing.Oldest, chord, '[65,62,64]'],
+        ['Oldest, after a release', VoiceStealing.Oldest, releasedChord, '[60,65,64]'],
+        ['Oldest, soft note', VoiceStealing.Oldest, softChord, '[65,62,64]'],
+        ['Quietest', VoiceStealing.Quietest, softChord, '[60,65,64]'],
+        ['Quietest, after a release', VoiceStealing.Quietest, releasedChord, '[60,65,64]'],
+        ['Oldest, repeated note', VoiceStealing.Oldest, repeated, '[60,62,60]'],
+        ['SameNote', VoiceStealing.SameNote, repeated, '[60,62,null]'],
+        ['SameNote, new note', VoiceStealing.SameNote, chord, '[65,62,64]'],
+    ];
+    for (const [label, stealing, play, expectedNotes] of stealingCases) {
+        const notes = voiceNotes(stealing, play);
+        console.log(`   ${label}: ${notes}`);
+        if (notes !== expectedNotes) {
+            throw new Error(`${label} stealing should leave voices playing ${expectedNotes}`);
+        }
+    }
+    console.log('   ✓ Each strategy steals the expected voice');
+
+    // Route one controller at a time, with the patch's own LFO modulation off
+    console.log('\n21. Testing controller routing...');
+    const controlledPatch = Patch.fromBytes(patch.pack());
+    controlledPatch.modulations.pitchModDepth = 0;
+    controlledPatch.modulations.ampModDepth = 0;
+    controlledPatch.modulations.pitchModSensitivity = 7;
+    controlledPatch.op.forEach(o => {
+        o.ampModSensitivity = 3;
+    });
+    const modulation = (controller, routing, value) => {
+        const controllerSettings = new FunctionSettings();
+        controllerSettings.modWheel = new ControllerRouting();
+        controllerSettings[controller] = routing;
+        const synth = new Synth(controlledPatch, sampleRate, { functionSettings: controllerSettings });
+        synth.noteOn(midiNote, 1.0);
+        synth.setController(controller, value);
+        const block = new Float32Array(256);
+        const result = { pitch: 0.0, amp: 0.0, rms: 0.0 };
+        for (let n = 0; n < 100; n++) {
+            synth.process(block);
+            result.pitch = Math.max(result.pitch, Math.abs(synth.voices[0].parameters.pitchMod));
+            result.amp = Math.max(result.amp, synth.voices[0].parameters.ampMod);
+            result.rms += block.reduce((total, s) => total + s * s, 0) / (100 * block.length);
+        }
+        result.rms = Math.sqrt(result.rms);
+        return result;
+    };
+
+    const vibrato = [0, 1].map(value => modulation('modWheel', new ControllerRouting(99, 0, 0), value));
+    const tremolo = [0, 1].map(value => modulation('breath', new ControllerRouting(0, 99, 0), value));
+    const bias = [0, 1].map(value => modulation('foot', new ControllerRouting(0, 0, 99), value));
+    const unrouted = modulation('aftertouch', new ControllerRouting(), 1);
+    console.log(`   Mod wheel pitch mod ${vibrato[0].pitch.toFixed(3)} -> ${vibrato[1].pitch.toFixed(3)}, `
+        + `breath amp mod ${tremolo[0].amp.toFixed(3)} -> ${tremolo[1].amp.toFixed(3)}, `
+        + `foot EG bias ${bias[0].amp.toFixed(3)} -> ${bias[1].amp.toFixed(3)}`);
+    if (vibrato[0].pitch !== 0 || vibrato[1].pitch <= 0.1 || vibrato[1].amp !== 0) {
+        throw new Error('The mod wheel should only deepen the LFO pitch modulation');
+    }
+    if (tremolo[0].amp !== 0 || tremolo[1].amp <= 0.5 || tremolo[1].pitch !== 0) {
+        throw new Error('The breath controller should only deepen the LFO amplitude modulation');
+    }
+    if (Math.abs(bias[0].amp - 0.99) > 1e-9 || bias[1].amp !== 0 || bias[0].rms >= bias[1].rms / 2) {
+        throw new Error('EG bias should attenuate the patch with the controller at rest and fade as it rises');
+    }
+    if (unrouted.pitch !== 0 || unrouted.amp !== 0) {
+        throw new Error('An unrouted controller should not modulate anything');
+    }
+    console.log('   ✓ Controllers reach the LFO depths and EG bias they are routed to');
+
+    // Carrier stems add up to the note, and muted operators leave the others untouched
+    console.log('\n22. Testing operator stems and muting...');
+    const stemMs = 500;
+    const full = generateSamples(patch, midiNote, sampleRate, stemMs);
+    const stems = generateOperatorStems(patch, midiNote, sampleRate, stemMs);
+    const dx7Algorithms = new Algorithms(6);
+    const carriers = [1, 2, 3, 4, 5, 6].filter(number => !dx7Algorithms.isModulator(patch.algorithm, 6 - number));
+    const maxError = (a, b) => a.reduce((error, s, i) => Math.max(error, Math.abs(s - b[i])), 0);
+    const carrierSum = (stemMap, numbers) => full.map((_, i) => numbers.reduce((total, number) => total + stemMap.get(number)[i], 0));
+    console.log(`   Algorithm ${patch.algorithm + 1} carriers: ${carriers.join(', ')}`);
+    if (stems.size !== 6 || ![...stems.values()].every(stem => stem.length === full.length)
+        || maxError(carrierSum(stems, carriers), full) > 1e-5) {
+        throw new Error('The carrier stems should add up to the rendered note');
+    }
+
+    const muted = Patch.fromBytes(patch.pack());
+    muted.activeOperators &= ~(1 << (6 - carriers[0]));
+    const mutedFull = generateSamples(muted, midiNote, sampleRate, stemMs);
+    const mutedStems = generateOperatorStems(muted, midiNote, sampleRate, stemMs);
+    const others = carriers.slice(1);
+    if (mutedStems.get(carriers[0]).some(s => s !== 0) || maxError(carrierSum(mutedStems, others), mutedFull) > 1e-5
+        || [1, 2, 3, 4, 5, 6].some(number => number !== carriers[0] && maxError(mutedStems.get(number), stems.get(number)) > 0)) {
+        throw new Error(`Muting OP${carriers[0]} should silence its stem and leave the other operators untouched`);
+    }
+    muted.toJSON().operators.forEach(o => {
+        if (o.enabled !== (o.number !== carriers[0])) {
+            throw new Error('The operator mask should round trip through JSON');
+        }
+    });
+
+    const picked = generateOperatorStems(patch, midiNote, sampleRate, stemMs, { operators: [1, 3], targetLevel: 0.5 });
+    const pickedPeak = Math.max(...[...picked.values()].map(stem => stem.reduce((peak, s) => Math.max(peak, Math.abs(s)), 0)));
+    if (JSON.stringify([...picked.keys()]) !== '[1,3]' || Math.abs(pickedPeak - 0.5) > 1e-6) {
+        throw new Error('Picked stems should be normalized together to the target level');
+    }
+    let operatorError = null;
+    try {
+        generateOperatorStems(patch, midiNote, sampleRate, stemMs, { operators: [7] });
+    } catch (e) {
+        operatorError = e;
+    }
+    if (operatorError === null || operatorError.message !== 'Invalid operator number 7. Must be 1-6.') {
+        throw new Error('Stems of operators the patch does not have should be rejected');
+    }
+    console.log('   ✓ Stems add up to the note and muted operators are silent');
+
+    // Random LFO steps and free-running oscillators come from the seed and take only
+    console.log('\n23. Testing seeds and round-robin takes...');
+    const randomLfo = Patch.fromBytes(patch.pack());
+    randomLfo.resetPhase = 0;
+    Object.assign(randomLfo.modulations, { waveform: 5, rate: 80, delay: 0, pitchModDepth: 60, pitchModSensitivity: 7 });
+    const renderTake = (options) => generateSamples(randomLfo, midiNote, sampleRate, stemMs, null, options);
+    const defaultTake = renderTake({});
+    if (!sameBytes(defaultTake, renderTake({})) || !sameBytes(defaultTake, renderTake({ take: 0 }))) {
+        throw new Error('Renders with the default seed and take 0 should be identical');
+    }
+    if (!sameBytes(renderTake({ seed: 7 }), renderTake({ seed: 7 })) || sameBytes(renderTake({ seed: 7 }), renderTake({ seed: 8 }))) {
+        throw new Error('The S&H LFO should depend on the seed only');
+    }
+    const takes = [1, 2, 3].map(take => renderTake({ take }));
+    if (!sameBytes(takes[0], renderTake({ take: 1 })) || takes.some(t => sameBytes(t, defaultTake))
+        || sameBytes(takes[0], takes[1]) || sameBytes(takes[1], takes[2])) {
+        throw new Error('Each take should be reproducible and differ from the other takes');
+    }
+    console.log('   ✓ The same seed and take always render the same audio');
+
+    // Key zones map to trim ranges of the WAV, the last one playing to the end of the file
+    console.log('\n24. Testing .elmulti generation...');
+    const elmulti = generateElmulti('Brass 1', [
+        { pitch: 48, start: 0, end: 1000 },
+        { pitch: 60, layers: [{ velocity: 127, slots: [{ start: 1000, end: 2000, loopStart: 1200, loopEnd: 1800 }] }] },
+    ]);
+    const expectedElmulti = [
+        '# ELEKTRON MULTI-SAMPLE MAPPING FORMAT',
+        'version = 0',
+        'name = \'Brass 1\'',
+        '',
+        '[[key-zones]]',
+        'pitch = 48',
+        'key-center = 48.0',
+        '',
+        '[[key-zones.velocity-layers]]',
+        'velocity = 0.9960785',
+        'strategy = \'Forward\'',
+        '',
+        '[[key-zones.velocity-layers.sample-slots]]',
+        'sample = \'Brass 1.wav\'',
+        'trim-start = 0',
+        'trim-end = 1000',
+        '',
+        '[[key-zones]]',
+        'pitch = 60',
+        'key-center = 60.0',
+        '',
+        '[[key-zones.velocity-layers]]',
+        'velocity = 0.9960785',
+        'strategy = \'Forward\'',
+        '',
+        '[[key-zones.velocity-layers.sample-slots]]',
+        'sample = \'Brass 1.wav\'',
+        'trim-start = 1000',
+        'loop-mode = \'Forward\'',
+        'loop-start = 1200',
+        'loop-end = 1800',
+        '',
+    ].join('\n');
+    if (elmulti !== expectedElmulti) {
+        throw new Error(`Unexpected .elmulti:\n${elmulti}`);
+    }
+    if (tonverkSanitize('  E.PIANO  1/ "ßöñ" ') !== 'EPIANO 1 ßöñ') {
+        throw new Error('Names should keep only the characters the Tonverk accepts');
+    }
+    let strategyError = null;
+    try {
+        generateElmulti('Brass 1', [{ pitch: 60, start: 0, end: 1000 }], { strategy: 'Shuffle' });
+    } catch (e) {
+        strategyError = e;
+    }
+    if (strategyError === null || strategyError.message !== 'Unknown sample slot strategy Shuffle') {
+        throw new Error('Unknown slot strategies should be rejected');
+    }
+    console.log('   ✓ Zones, trim ranges and loops are written in the Tonverk format');
+
+    // Every velocity layer of a zone holds one sample slot per take
+    console.log('\n25. Testing velocity layers and round-robin takes...');
+    const layered = generateElmulti('Layers', [{
+        pitch: 60,
+        layers: [
+            { velocity: 40, slots: [{ start: 0, end: 100 }, { start: 100, end: 200 }] },
+            { velocity: 100, slots: [{ start: 200, end: 300 }, { start: 300, end: 400 }] },
+        ],
+    }], { strategy: SlotStrategy.Random });
+    const tomlValues = (toml, key) => [...toml.matchAll(new RegExp(`^${key} = (.*)$`, 'gm'))].map(m => m[1]);
+    if (tomlValues(layered, 'velocity').join() !== '0.3137255,0.7843138'
+        || tomlValues(layered, 'strategy').join() !== '\'Random\',\'Random\''
+        || tomlValues(layered, 'trim-start').join() !== '0,100,200,300' || tomlValues(layered, 'trim-end').join() !== '100,200,300') {
+        throw new Error(`Unexpected velocity layers:\n${layered}`);
+    }
+
+    const readMultisample = async (blob, name) => {
+        const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+        const wav = await zip.file(`${name}/${name}.wav`).async('uint8array');
+        return { toml: await zip.file(`${name}/${name}.elmulti`).async('string'), wav };
+    };
+    const wavFloats = wav => new Float32Array(wav.slice(44, 44 + new DataView(wav.buffer, wav.byteOffset).getUint32(40, true)).buffer);
+    const roundRobin = { name: 'Layers', velocities: [100, 40, 100], takes: 2 };
+    const multisample = await readMultisample(await generateMultisample(randomLfo, [48, 60], sampleRate, 300, roundRobin), 'Layers');
+    const starts = tomlValues(multisample.toml, 'trim-start').map(Number);
+    const slotLength = starts[1];
+    const slotAudio = index => wavFloats(multisample.wav).subarray(starts[index], starts[index] + slotLength);
+    const slotPeaks = starts.map((_, i) => slotAudio(i).reduce((peak, s) => Math.max(peak, Math.abs(s)), 0));
+    console.log(`   Slot peaks: ${slotPeaks.map(p => p.toFixed(3)).join(', ')}`);
+    if (tomlValues(multisample.toml, 'pitch').join() !== '48,60'
+        || tomlValues(multisample.toml, 'velocity').join() !== '0.3137255,0.7843138,0.3137255,0.7843138'
+        || starts.length !== 8 || !starts.every((start, i) => start === i * slotLength)
+        || wavFloats(multisample.wav).length !== 8 * slotLength) {
+        throw new Error(`Each zone should hold two sorted velocity layers of two takes:\n${multisample.toml}`);
+    }
+    if ([0, 4].some(zone => Math.abs(Math.max(...slotPeaks.slice(zone, zone + 4)) - 0.5) > 1e-6
+        || Math.max(slotPeaks[zone], slotPeaks[zone + 1]) >= Math.max(slotPeaks[zone + 2], slotPeaks[zone + 3]))) {
+        throw new Error('The layers of a zone should share its gain, so that softer layers stay quieter');
+    }
+    if (sameBytes(slotAudio(0), slotAudio(1)) || sameBytes(slotAudio(2), slotAudio(3))) {
+        throw new Error('The takes of a layer should differ');
+    }
+    const again = await readMultisample(await generateMultisample(randomLfo, [48, 60], sampleRate, 300, roundRobin), 'Layers');
+    if (!sameBytes(again.wav, multisample.wav) || again.toml !== multisample.toml) {
+        throw new Error('Multisamples should be reproducible with the default seed');
+    }
+
+    const layerErrors = [
+        [{ velocities: [0] }, 'Invalid velocity 0. Must be 1-127.'],
+        [{ velocities: [] }, 'At least one velocity layer is needed'],
+        [{ takes: 0 }, 'Invalid number of takes 0. Must be at least 1.'],
+    ];
+    for (const [options, message] of layerErrors) {
+        let layerError = null;
+        try {
+            await generateMultisample(patch, [60], sampleRate, 100, options);
+        } catch (e) {
+            layerError = e;
+        }
+        if (layerError === null || layerError.message !== message) {
+            throw new Error(`Expected "${message}" for ${JSON.stringify(options)}`);
+        }
+    }
+    console.log('   ✓ Velocity layers and takes are rendered, leveled and mapped per zone');
+
+    // Loops of a periodic note span whole periods, between upward zero crossings
+    console.log('\n26. Testing sustain loops...');
+    const period = 100;
+    const periodic = Float32Array.from({ length: sampleRate }, (_, i) => Math.sin(2 * Math.PI * (i + 0.5) / period));
+    const sineLoop = findLoop(periodic, periodic.length);
+    console.log(`   Sine loop: ${sineLoop.start}-${sineLoop.end}, error ${sineLoop.error.toExponential(2)}`);
+    if (sineLoop.start !== 22100 || sineLoop.end !== 43900 || sineLoop.error > 1e-6) {
+        throw new Error('The loop should run from the first to the last crossing of the sustain');
+    }
+    let lcg = 1;
+    const aperiodic = new Float32Array(sampleRate).map(() => {
+        lcg = (Math.imul(lcg, 1664525) + 1013904223) >>> 0;
+        return lcg / 2 ** 31 - 1;
+    });
+    if (findLoop(aperiodic, aperiodic.length) !== null || findLoop(periodic, 3000) !== null) {
+        throw new Error('Noise and sustains shorter than the minimum loop should not loop');
+    }
+
+    const faded = periodic.map((s, i) => s * (1 - i / periodic.length));
+    const unfaded = faded.slice();
+    crossfadeLoop(faded, sineLoop, 441);
+    if (faded[sineLoop.end - 1] !== unfaded[sineLoop.start - 1]
+        || !faded.every((s, i) => (i >= sineLoop.end - 441 && i < sineLoop.end) || s === unfaded[i])) {
+        throw new Error('The crossfade should only touch the end of the loop, and end on the sample before the loop start');
+    }
+
+    const smplLoops = wav => {
+        const view = new DataView(wav.buffer, wav.byteOffset);
+        let offset = 44 + view.getUint32(40, true);
+        offset += offset & 1;
+        if (offset === wav.length) {
+            return [];
+        }
+        if (String.fromCharCode(...wav.subarray(offset, offset + 4)) !== 'smpl' || view.getUint32(4, true) !== wav.length - 8) {
+            throw new Error('Expected a smpl chunk at the end of the RIFF file');
+        }
+        return Array.from({ length: view.getUint32(offset + 36, true) },
+            (_, i) => [view.getUint32(offset + 52 + i * 24, true), view.getUint32(offset + 56 + i * 24, true)]);
+    };
+    const loopedWav = generateWav([periodic.subarray(0, 999)], sampleRate, {
+        format: SampleFormat.Pcm24,
+        loops: [{ start: 100, end: 900 }],
+    });
+    if (JSON.stringify(smplLoops(loopedWav)) !== '[[100,899]]' || smplLoops(generateWav([periodic], sampleRate)).length !== 0) {
+        throw new Error('Loops should be written to the smpl chunk with an inclusive end, after the padded data');
+    }
+
+    const loopedZip = await generateMultisample(patch, [48, 60], sampleRate, durationMs, { name: 'Loop', loop: true });
+    const looped = await readMultisample(loopedZip, 'Loop');
+    const loopStarts = tomlValues(looped.toml, 'loop-start').map(Number);
+    const loopEnds = tomlValues(looped.toml, 'loop-end').map(Number);
+    console.log(`   Multisample loops: ${loopStarts.map((start, i) => `${start}-${loopEnds[i]}`).join(', ')}`);
+    if (loopStarts.length !== 2 || tomlValues(looped.toml, 'loop-mode').join() !== '\'Forward\',\'Forward\''
+        || JSON.stringify(smplLoops(looped.wav)) !== JSON.stringify(loopStarts.map((start, i) => [start, loopEnds[i] - 1]))) {
+        throw new Error('Multisample loops should be the same in the .elmulti and the smpl chunk');
+    }
+    console.log('   ✓ Loops are found on whole periods, crossfaded and written to both files');
+
+    // A full scale 997 Hz sine reads -3.01 LUFS, and a quarter sample rate sine peaks between its samples
+    console.log('\n27. Testing loudness and true peak meters...');
+    const sine = (frequency, amplitude, length, phase = 0) =>
+        Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+    const fullScale = integratedLoudness([sine(997, 1.0, 2 * sampleRate)], sampleRate);
+    const quieter = integratedLoudness([sine(997, 0.1, 2 * sampleRate)], sampleRate);
+    console.log(`   997 Hz sine: ${fullScale.toFixed(3)} LUFS at 0 dBFS, ${quieter.toFixed(3)} LUFS at -20 dBFS`);
+    if (Math.abs(fullScale + 3.01) > 0.1 || Math.abs(quieter - fullScale + 20) > 1e-6) {
+        throw new Error('A 997 Hz sine should read 3.01 dB below its peak level');
+    }
+    const withQuietZone = integratedLoudness([sine(997, 0.1, 2 * sampleRate), sine(997, 0.003, 2 * sampleRate)], sampleRate);
+    const twice = integratedLoudness([sine(997, 0.1, 2 * sampleRate), sine(997, 0.1, sampleRate)], sampleRate);
+    if (Math.abs(withQuietZone - quieter) > 1e-9 || Math.abs(twice - quieter) > 1e-4) {
+        throw new Error('Buffers should be measured together, with quiet blocks gated out');
+    }
+    if (integratedLoudness([new Float32Array(sampleRate)], sampleRate) !== -Infinity
+        || integratedLoudness([sine(997, 1.0, sampleRate / 10)], sampleRate) !== -Infinity) {
+        throw new Error('Silence and buffers shorter than a gating block should have no loudness');
+    }
+
+    const intersample = sine(sampleRate / 4, 1.0, 1000, Math.PI / 4);
+    const samplePeak = intersample.reduce((peak, s) => Math.max(peak, Math.abs(s)), 0);
+    const intersamplePeak = truePeak([intersample]);
+    console.log(`   Quarter sample rate sine: sample peak ${samplePeak.toFixed(4)}, true peak ${intersamplePeak.toFixed(4)}`);
+    if (Math.abs(samplePeak - Math.SQRT1_2) > 1e-6 || Math.abs(intersamplePeak - 1.0) > 0.02
+        || Math.abs(truePeak([sine(100, 0.5, sampleRate)]) - 0.5) > 1e-3 || truePeak([new Float32Array(10)]) !== 0) {
+        throw new Error('The true peak should find the peaks between samples');
+    }
+
+    const leveled = await readMultisample(await generateMultisample(patch, [48, 60], sampleRate, durationMs, {
+        name: 'Loudness',
+        normalization: Normalization.Loudness,
+        targetLoudness: -23,
+        truePeakCeiling: -1,
+    }), 'Loudness');
+    const leveledZones = tomlValues(leveled.toml, 'trim-start').map(Number)
+        .map((start, i, zoneStarts) => wavFloats(leveled.wav).subarray(start, zoneStarts[i + 1]));
+    const leveledLoudness = integratedLoudness(leveledZones, sampleRate);
+    const leveledPeak = 20 * Math.log10(truePeak(leveledZones));
+    console.log(`   Loudness normalized zones: ${leveledLoudness.toFixed(2)} LUFS, ${leveledPeak.toFixed(2)} dBTP`);
+    if (Math.abs(leveledLoudness + 23) > 0.1 || leveledPeak > -1) {
+        throw new Error('Loudness normalization should reach the target loudness within the true peak ceiling');
+    }
+    console.log('   ✓ Loudness and true peak match the reference signals');
+
+    // Integer formats quantize to the nearest code, full scale included, and report only samples beyond it
+    console.log('\n28. Testing WAV sample formats, dither and clipping...');
+    const pcmValues = wav => {
+        const view = new DataView(wav.buffer, wav.byteOffset);
+        const bytes = view.getUint16(32, true);
+        return Array.from({ length: view.getUint32(40, true) / bytes }, (_, i) => bytes === 2
+            ? view.getInt16(44 + i * 2, true)
+            : (view.getInt8(46 + i * 3) << 16) | view.getUint16(44 + i * 3, true));
+    };
+    const writeWav = (buffer, options) => {
+        const clips = [];
+        const wav = generateWav([Float32Array.from(buffer)], sampleRate, { ...options, onClip: clip => clips.push(clip) });
+        return { wav, clips };
+    };
+
+    const levels = [0, 0.5, -0.5, 1.0, -1.0, 0.4 / 32768];
+    const formats = [
+        [SampleFormat.Float32, 3, 32],
+        [SampleFormat.Pcm16, 1, 16, [0, 16384, -16384, 32767, -32768, 0]],
+        [SampleFormat.Pcm24, 1, 24, [0, 4194304, -4194304, 8388607, -8388608, 102]],
+    ];
+    for (const [format, code, bits, expected] of formats) {
+        const { wav, clips } = writeWav(levels, { format, dither: false });
+        const view = new DataView(wav.buffer, wav.byteOffset);
+        const dataSize = levels.length * bits / 8;
+        if (view.getUint16(20, true) !== code || view.getUint16(34, true) !== bits || view.getUint16(32, true) !== bits / 8
+            || view.getUint32(28, true) !== sampleRate * bits / 8 || view.getUint32(40, true) !== dataSize
+            || wav.length !== 44 + dataSize || clips.length !== 0) {
+            throw new Error(`Unexpected ${format} header, or full scale reported as clipping`);
+        }
+        const written = format === SampleFormat.Float32 ? Array.from(wavFloats(wav)) : pcmValues(wav);
+        if (JSON.stringify(written) !== JSON.stringify(expected || levels.map(level => Math.fround(level)))) {
+            throw new Error(`Unexpected ${format} samples ${written.join(', ')}`);
+        }
+    }
+    const oddWav = writeWav([0.5, 0.5, 0.5], { format: SampleFormat.Pcm24 }).wav;
+    if (oddWav.length !== 54 || new DataView(oddWav.buffer, oddWav.byteOffset).getUint32(4, true) !== 46) {
+        throw new Error('Odd sized data chunks should be padded to an even size');
+    }
+
+    for (const format of Object.values(SampleFormat)) {
+        const { wav, clips } = writeWav([1.5, -2.0, 1.0, -1.0, 0.3], { format });
+        if (clips.length !== 1 || clips[0].samples !== 2 || clips[0].peak !== 2.0) {
+            throw new Error(`Samples beyond full scale should be reported once, got ${JSON.stringify(clips)}`);
+        }
+        const fullScale = { [SampleFormat.Pcm16]: 32768, [SampleFormat.Pcm24]: 8388608 }[format];
+        const written = fullScale === undefined ? Array.from(wavFloats(wav)) : pcmValues(wav);
+        if (written.slice(0, 2).join() !== (fullScale === undefined ? '1.5,-2' : `${fullScale - 1},${-fullScale}`)) {
+            throw new Error(`Clipped samples should be kept in float and clamped in ${format}`);
+        }
+        const ditheredFullScale = writeWav(new Array(1000).fill(1.0), { format, noiseShaping: true });
+        if (ditheredFullScale.clips.length !== 0) {
+            throw new Error(`Dithered full scale ${format} samples should not be reported as clipped`);
+        }
+    }
+
+    const pcm16 = (buffer, options) => pcmValues(writeWav(buffer, { format: SampleFormat.Pcm16, ...options }).wav);
+    const quarterLsb = new Array(20000).fill(0.25 / 32768);
+    const dithered = seed => pcm16(quarterLsb, { seed });
+    const ditherMean = dithered(1).reduce((total, value) => total + value, 0) / 20000;
+    const quantized = pcm16(quarterLsb, { dither: false });
+    console.log(`   A quarter LSB dithers to a mean of ${ditherMean.toFixed(3)} LSB`);
+    if (!dithered(1).every(value => value >= -1 && value <= 1) || Math.abs(ditherMean - 0.25) > 0.05
+        || quantized.some(value => value !== 0)) {
+        throw new Error('TPDF dither should keep levels below one LSB, within one LSB of noise');
+    }
+    if (dithered(1).join() !== dithered(1).join() || dithered(1).join() === dithered(2).join()) {
+        throw new Error('Dither noise should depend on the seed only');
+    }
+    const lagCorrelation = values => values.slice(1).reduce((total, value, i) => total + value * values[i], 0)
+        / values.reduce((total, value) => total + value * value, 0);
+    const plainNoise = lagCorrelation(pcm16(new Float32Array(20000), {}));
+    const shapedNoise = lagCorrelation(pcm16(new Float32Array(20000), { noiseShaping: true }));
+    console.log(`   Lag-1 noise correlation: ${plainNoise.toFixed(3)} plain, ${shapedNoise.toFixed(3)} shaped`);
+    if (Math.abs(plainNoise) > 0.1 || shapedNoise > -0.3) {
+        throw new Error('Noise shaping should move the dither noise towards high frequencies');
+    }
+    console.log('   ✓ Sample formats, dither and clip reports are correct up to full scale');
+
     // Verify samples are reasonable
     if (max > min && Math.abs(max) > 0.001 && Math.abs(min) > 0.001) {
         console.log('\n✅ All tests passed! Synthesis engine is working correctly.');